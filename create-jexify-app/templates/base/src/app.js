@@ -28,7 +28,7 @@ const App = () => {
       { className: "btn-container" },
       button(
         {
-          onclick: incrementCount,
+          onClick: incrementCount,
           ariaLabel: `Increment counter to ${count + 1}`,
         },
         `Count is ${count}`
@@ -0,0 +1,154 @@
+/**
+ * Jexify Error Handling
+ *
+ * Shared by the client reconciler and the server renderer:
+ * - Error boundaries (getDerivedStateFromError / useErrorBoundary)
+ * - Component stacks pointing at the component that threw
+ * - A pluggable reporter receiving every render error
+ */
+
+import { Component } from "..";
+
+// Component stack of each error, recorded where it was thrown
+const componentStacks = new WeakMap();
+
+/**
+ * Default reporter: logs the error and where it happened
+ * @private
+ */
+function defaultReporter(error, info) {
+  console.error(error);
+  if (info.componentStack) {
+    console.error(`The above error occurred in:${info.componentStack}`);
+  }
+}
+
+let reporter = defaultReporter;
+
+/**
+ * Replaces the function receiving render errors (e.g. to send them to
+ * an error tracking service)
+ * @param {Function|null} handler - Called with (error, info), where info
+ *   holds componentStack and the boundary that caught it (or null);
+ *   null restores console logging
+ * @throws {TypeError} If handler is neither a function nor null
+ */
+export function setErrorReporter(handler) {
+  if (handler !== null && typeof handler !== "function") {
+    throw new TypeError("Error reporter must be a function or null");
+  }
+  reporter = handler || defaultReporter;
+}
+
+/**
+ * Passes an error to the reporter
+ * @param {any} error - Thrown value
+ * @param {Object} info - { componentStack, boundary }
+ */
+export function reportError(error, info) {
+  try {
+    reporter(error, info);
+  } catch (reporterError) {
+    console.error("Error reporter failed:", reporterError);
+  }
+}
+
+/**
+ * Returns the display name of a component instance
+ * @param {Object} instance - Function component instance or Component
+ * @returns {string} Component name
+ */
+export function getComponentName(instance) {
+  const type =
+    instance instanceof Component ? instance.constructor : instance.type;
+  return type.displayName || type.name || "Anonymous";
+}
+
+/**
+ * Remembers the component stack of an error the first time it passes
+ * a component, which is the component closest to where it was thrown
+ * @param {any} error - Thrown value
+ * @param {Object} instance - Component instance it passed
+ */
+export function recordComponentStack(error, instance) {
+  if (error === null || typeof error !== "object") return;
+  if (componentStacks.has(error)) return;
+  componentStacks.set(error, buildComponentStack(instance));
+}
+
+/**
+ * Returns the component stack of an error
+ * @param {any} error - Thrown value
+ * @param {Object|null} [instance=null] - Used when none was recorded
+ * @returns {string} Stack, one "in Name" line per component
+ */
+export function getComponentStack(error, instance = null) {
+  if (error !== null && typeof error === "object") {
+    const stack = componentStacks.get(error);
+    if (stack !== undefined) return stack;
+  }
+  return instance ? buildComponentStack(instance) : "";
+}
+
+/**
+ * Walks the owner chain of an instance
+ * @private
+ */
+function buildComponentStack(instance) {
+  let stack = "";
+  for (let current = instance; current; current = current._parent) {
+    stack += `\n    in ${getComponentName(current)}`;
+  }
+  return stack;
+}
+
+/**
+ * Checks whether an instance catches errors thrown below it
+ * @param {Object} instance - Function component instance or Component
+ * @returns {boolean} True for error boundaries
+ */
+export function isErrorBoundary(instance) {
+  if (instance instanceof Component) {
+    return typeof instance.constructor.getDerivedStateFromError === "function";
+  }
+  return typeof instance._catchError === "function";
+}
+
+/**
+ * Puts a boundary into its error state so its next render shows the
+ * fallback
+ * @param {Object} instance - Error boundary instance
+ * @param {any} error - Error thrown below it
+ * @returns {Object} Error info passed to componentDidCatch
+ */
+export function catchError(instance, error) {
+  const info = {
+    componentStack: getComponentStack(error, instance),
+    boundary: instance,
+  };
+
+  if (instance instanceof Component) {
+    const derived = instance.constructor.getDerivedStateFromError(error);
+    if (derived) instance.state = { ...instance.state, ...derived };
+  } else {
+    instance._catchError(error);
+  }
+
+  return info;
+}
+
+/**
+ * Reports a caught error and notifies its boundary, once the fallback
+ * is on screen
+ * @param {Object} instance - Error boundary instance
+ * @param {any} error - Caught error
+ * @param {Object} info - Info returned by catchError
+ */
+export function notifyBoundary(instance, error, info) {
+  reportError(error, info);
+  if (instance instanceof Component) {
+    instance.componentDidCatch?.(error, info);
+  } else {
+    instance._didCatch?.(error, info);
+  }
+}
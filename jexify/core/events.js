@@ -0,0 +1,429 @@
+/**
+ * Jexify Event System
+ *
+ * Handles events at the root containers instead of binding a native
+ * listener to every element:
+ * - camelCase props (onClick) and capture-phase props (onClickCapture)
+ * - Synthetic events whose stopPropagation spans both phases
+ * - Handlers swapped on re-render without touching native listeners
+ * - { handler, passive, once } objects bound natively with those options
+ * - onChange on text inputs follows every keystroke, and controlled
+ *   inputs are restored when their handlers leave the value unchanged
+ */
+
+import { isTextInput, restoreControlledState } from "./inputs";
+import { Priority, runWithPriority } from "./scheduler";
+
+// Prop names whose native event differs from the lowercased name
+const EVENT_ALIASES = {
+  doubleclick: "dblclick",
+  // focus and blur do not bubble, their bubbling variants do
+  focus: "focusin",
+  blur: "focusout",
+};
+
+// Events that bubble, handled by one listener per root and phase
+const BUBBLING_EVENTS = [
+  "animationend",
+  "animationiteration",
+  "animationstart",
+  "auxclick",
+  "beforeinput",
+  "change",
+  "click",
+  "compositionend",
+  "compositionstart",
+  "compositionupdate",
+  "contextmenu",
+  "copy",
+  "cut",
+  "dblclick",
+  "drag",
+  "dragend",
+  "dragenter",
+  "dragleave",
+  "dragover",
+  "dragstart",
+  "drop",
+  "focusin",
+  "focusout",
+  "gotpointercapture",
+  "input",
+  "keydown",
+  "keypress",
+  "keyup",
+  "lostpointercapture",
+  "mousedown",
+  "mousemove",
+  "mouseout",
+  "mouseover",
+  "mouseup",
+  "paste",
+  "pointercancel",
+  "pointerdown",
+  "pointermove",
+  "pointerout",
+  "pointerover",
+  "pointerup",
+  "reset",
+  "select",
+  "submit",
+  "touchcancel",
+  "touchend",
+  "touchmove",
+  "touchstart",
+  "transitioncancel",
+  "transitionend",
+  "transitionrun",
+  "transitionstart",
+  "wheel",
+];
+
+// Events that only reach their target, seen by roots while capturing
+const NON_BUBBLING_EVENTS = [
+  "abort",
+  "cancel",
+  "canplay",
+  "canplaythrough",
+  "close",
+  "durationchange",
+  "emptied",
+  "ended",
+  "error",
+  "invalid",
+  "load",
+  "loadeddata",
+  "loadedmetadata",
+  "loadstart",
+  "mouseenter",
+  "mouseleave",
+  "pause",
+  "play",
+  "playing",
+  "pointerenter",
+  "pointerleave",
+  "progress",
+  "ratechange",
+  "scroll",
+  "scrollend",
+  "seeked",
+  "seeking",
+  "stalled",
+  "suspend",
+  "timeupdate",
+  "toggle",
+  "volumechange",
+  "waiting",
+];
+
+const bubblingEvents = new Set(BUBBLING_EVENTS);
+const delegatedEvents = new Set([...BUBBLING_EVENTS, ...NON_BUBBLING_EVENTS]);
+
+// Root listeners for these must not block scrolling
+const PASSIVE_ROOT_EVENTS = new Set(["touchmove", "touchstart", "wheel"]);
+
+// Events after which controlled inputs are put back to their props
+const CONTROLLED_EVENTS = new Set(["change", "input"]);
+
+// Parsed event prop names, e.g. onClickCapture => click (capture)
+const parsedProps = new Map();
+const warnedProps = new Set();
+
+/**
+ * Parses an event prop name
+ * @param {string} key - Prop name
+ * @returns {Object|null} { type, capture } or null if not an event name
+ */
+function parseEventProp(key) {
+  if (parsedProps.has(key)) return parsedProps.get(key);
+
+  const match = /^on([A-Za-z]+?)(Capture)?$/.exec(key);
+  let parsed = null;
+
+  if (match) {
+    const name = match[1].toLowerCase();
+    parsed = {
+      type: EVENT_ALIASES[name] || name,
+      capture: Boolean(match[2]),
+    };
+  }
+
+  parsedProps.set(key, parsed);
+  return parsed;
+}
+
+/**
+ * Parses an event prop for an element. onChange on text inputs listens
+ * to input events, so state follows the value as it is typed
+ * @private
+ */
+function getEventProp(element, key) {
+  const { type, capture } = parseEventProp(key);
+  if (type === "change" && isTextInput(element)) {
+    return { type: "input", capture };
+  }
+  return { type, capture };
+}
+
+/**
+ * Warns once about lowercase props such as onclick
+ * @private
+ */
+function warnLowercaseProp(key) {
+  if (process.env.NODE_ENV !== "development") return;
+  if (warnedProps.has(key) || !/^on[a-z]/.test(key)) return;
+  warnedProps.add(key);
+
+  const name = `on${key[2].toUpperCase()}${key.slice(3)}`;
+  console.warn(
+    `[Jexify] Use the camelCase event prop ${name} instead of ${key}`
+  );
+}
+
+/**
+ * Checks whether a value can be used as an event handler
+ * @private
+ */
+function isHandler(value) {
+  return (
+    typeof value === "function" ||
+    (typeof value === "object" &&
+      value !== null &&
+      typeof value.handler === "function")
+  );
+}
+
+/**
+ * Checks whether a prop is an event handler
+ * @param {string} key - Prop name
+ * @param {any} value - Prop value
+ * @returns {boolean} True for handlers like onClick or onClickCapture
+ */
+export function isEventProp(key, value) {
+  return isHandler(value) && parseEventProp(key) !== null;
+}
+
+/**
+ * Makes a root container handle the events of every element below it
+ * @param {Node} container - Root container or portal target
+ */
+export function listenToEvents(container) {
+  if (container._jexifyEvents) return;
+  container._jexifyEvents = true;
+
+  for (const type of delegatedEvents) {
+    const passive = PASSIVE_ROOT_EVENTS.has(type);
+    container.addEventListener(type, dispatchCapture, {
+      capture: true,
+      passive,
+    });
+    if (bubblingEvents.has(type)) {
+      container.addEventListener(type, dispatchBubble, { passive });
+    }
+  }
+}
+
+/**
+ * Sets or swaps the handler of an event prop
+ * @param {Element} element - Target element
+ * @param {string} key - Prop name, e.g. onClick
+ * @param {Function|Object} value - Handler or { handler, passive, once }
+ */
+export function setEventHandler(element, key, value) {
+  warnLowercaseProp(key);
+  const { type, capture } = getEventProp(element, key);
+  const handler = typeof value === "function" ? value : value.handler;
+  const options =
+    typeof value === "function"
+      ? null
+      : { passive: Boolean(value.passive), once: Boolean(value.once) };
+
+  // Options and unknown (custom) events need a listener of their own
+  if (options || !delegatedEvents.has(type)) {
+    removeDelegatedHandler(element, type, capture);
+    setNativeHandler(element, key, type, capture, handler, options);
+    return;
+  }
+
+  removeNativeHandler(element, key);
+  const handlers = element._jexifyHandlers || (element._jexifyHandlers = {});
+  const phases = handlers[type] || (handlers[type] = {});
+  phases[capture ? "capture" : "bubble"] = handler;
+}
+
+/**
+ * Removes the handler of an event prop
+ * @param {Element} element - Target element
+ * @param {string} key - Prop name, e.g. onClick
+ */
+export function removeEventHandler(element, key) {
+  const { type, capture } = getEventProp(element, key);
+  removeNativeHandler(element, key);
+  removeDelegatedHandler(element, type, capture);
+}
+
+/**
+ * Removes a handler stored for the root listeners
+ * @private
+ */
+function removeDelegatedHandler(element, type, capture) {
+  const phases = element._jexifyHandlers?.[type];
+  if (phases) delete phases[capture ? "capture" : "bubble"];
+}
+
+/**
+ * Binds a native listener for handlers that cannot be delegated,
+ * swapping the handler when the options stay the same
+ * @private
+ */
+function setNativeHandler(element, key, type, capture, handler, options) {
+  const native = element._jexifyNative || (element._jexifyNative = {});
+  const current = native[key];
+  const passive = options ? options.passive : false;
+  const once = options ? options.once : false;
+
+  if (current && current.passive === passive && current.once === once) {
+    current.handler = handler;
+    return;
+  }
+  removeNativeHandler(element, key);
+
+  // A once handler stays registered (and inactive) until its prop changes
+  const entry = { handler, passive, once, capture, type };
+  entry.listener = (event) => {
+    const synthetic = getSyntheticEvent(event);
+    if (synthetic.isPropagationStopped()) return;
+    synthetic.currentTarget = element;
+    runWithPriority(Priority.USER_BLOCKING, () => entry.handler(synthetic));
+  };
+  element.addEventListener(type, entry.listener, { capture, passive, once });
+  native[key] = entry;
+}
+
+/**
+ * Removes a listener bound by setNativeHandler
+ * @private
+ */
+function removeNativeHandler(element, key) {
+  const entry = element._jexifyNative?.[key];
+  if (!entry) return;
+  element.removeEventListener(entry.type, entry.listener, {
+    capture: entry.capture,
+  });
+  delete element._jexifyNative[key];
+}
+
+/**
+ * Wraps a native event so handlers get the element they are attached
+ * to as currentTarget; shared by every phase of one native event
+ * @private
+ */
+function getSyntheticEvent(nativeEvent) {
+  if (nativeEvent._jexifySynthetic) return nativeEvent._jexifySynthetic;
+
+  let propagationStopped = false;
+  const fields = {
+    nativeEvent,
+    currentTarget: null,
+    isPropagationStopped: () => propagationStopped,
+    stopPropagation() {
+      propagationStopped = true;
+      nativeEvent.stopPropagation();
+    },
+    stopImmediatePropagation() {
+      propagationStopped = true;
+      nativeEvent.stopImmediatePropagation();
+    },
+    // Events are never pooled, kept for code written for other libraries
+    persist() {},
+  };
+
+  // Everything else (target, key, clientX, preventDefault...) is native
+  const synthetic = new Proxy(fields, {
+    get(target, name) {
+      if (name in target) return target[name];
+      const value = nativeEvent[name];
+      return typeof value === "function" ? value.bind(nativeEvent) : value;
+    },
+    set(target, name, value) {
+      target[name] = value;
+      return true;
+    },
+  });
+
+  nativeEvent._jexifySynthetic = synthetic;
+  return synthetic;
+}
+
+/**
+ * Collects the elements between the event target and the document
+ * that have a handler for the event, innermost first
+ * @private
+ */
+function getHandlerPath(nativeEvent) {
+  const path = [];
+  for (const node of nativeEvent.composedPath()) {
+    if (node._jexifyHandlers?.[nativeEvent.type]) path.push(node);
+  }
+  return path;
+}
+
+/**
+ * Runs one element's handler for an event phase
+ * @private
+ */
+function runHandler(element, synthetic, phase) {
+  const handler = element._jexifyHandlers[synthetic.type]?.[phase];
+  if (!handler || synthetic.isPropagationStopped()) return;
+  synthetic.currentTarget = element;
+  handler(synthetic);
+}
+
+/**
+ * Root listener for the capture phase. Nested roots see the same
+ * native event, so it is marked once it was dispatched
+ * @private
+ */
+function dispatchCapture(nativeEvent) {
+  if (nativeEvent._jexifyCaptured) return;
+  nativeEvent._jexifyCaptured = true;
+
+  const path = getHandlerPath(nativeEvent);
+  if (!path.length) return;
+  const synthetic = getSyntheticEvent(nativeEvent);
+
+  runWithPriority(Priority.USER_BLOCKING, () => {
+    for (let i = path.length - 1; i >= 0; i--) {
+      runHandler(path[i], synthetic, "capture");
+    }
+    // Non-bubbling events never reach the bubble listener
+    if (!bubblingEvents.has(nativeEvent.type)) {
+      if (path[0] === nativeEvent.target) {
+        runHandler(path[0], synthetic, "bubble");
+      }
+    }
+  });
+}
+
+/**
+ * Root listener for the bubble phase
+ * @private
+ */
+function dispatchBubble(nativeEvent) {
+  if (nativeEvent._jexifyBubbled) return;
+  nativeEvent._jexifyBubbled = true;
+
+  const path = getHandlerPath(nativeEvent);
+  if (path.length) {
+    const synthetic = getSyntheticEvent(nativeEvent);
+    runWithPriority(Priority.USER_BLOCKING, () => {
+      for (const element of path) runHandler(element, synthetic, "bubble");
+    });
+  }
+
+  // Queued after the handlers' updates so it sees their new values;
+  // inputs without handlers (read-only values) are restored as well
+  if (CONTROLLED_EVENTS.has(nativeEvent.type)) {
+    restoreControlledState(nativeEvent.target);
+  }
+}
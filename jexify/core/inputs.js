@@ -0,0 +1,151 @@
+/**
+ * Jexify Form Inputs
+ *
+ * Keeps form elements in sync with their props (controlled inputs):
+ * - value, checked and selected written as DOM properties, which keep
+ *   working after the user interacted (attributes stop doing so)
+ * - The caret stays in place when a focused input's value changes
+ * - Values the handlers did not accept are restored after the event
+ */
+
+// Props written as DOM properties, and the elements they apply to
+const CONTROLLED_PROPS = {
+  value: ["input", "select", "textarea"],
+  checked: ["input"],
+  selected: ["option"],
+};
+
+// Input types that fire change events only on commit (not text-like)
+const NON_TEXT_INPUTS = new Set([
+  "button",
+  "checkbox",
+  "file",
+  "image",
+  "radio",
+  "reset",
+  "submit",
+]);
+
+/**
+ * Checks whether a prop is written as a DOM property on an element
+ * @param {Element} element - Target element
+ * @param {string} key - Prop name
+ * @returns {boolean} True for value, checked and selected on form elements
+ */
+export function isControlledProperty(element, key) {
+  return CONTROLLED_PROPS[key]?.includes(element.localName) ?? false;
+}
+
+/**
+ * Checks whether an element takes text input, where onChange follows
+ * every keystroke (input events) instead of the native change event
+ * @param {Element} element - Target element
+ * @returns {boolean} True for textareas and text-like inputs
+ */
+export function isTextInput(element) {
+  if (element.localName === "textarea") return true;
+  return element.localName === "input" && !NON_TEXT_INPUTS.has(element.type);
+}
+
+/**
+ * Writes a controlled prop and remembers it for restoring
+ * @param {Element} element - Form element
+ * @param {string} key - value, checked or selected
+ * @param {any} value - Prop value
+ */
+export function setControlledProperty(element, key, value) {
+  if (key === "selected") {
+    element.selected = Boolean(value);
+    return;
+  }
+
+  const controlled =
+    element._jexifyControlled || (element._jexifyControlled = {});
+  controlled[key] = value;
+
+  if (key === "checked") {
+    element.checked = Boolean(value);
+  } else {
+    applyValue(element);
+  }
+}
+
+/**
+ * Stops controlling a prop, leaving the current DOM state as it is
+ * @param {Element} element - Form element
+ * @param {string} key - value, checked or selected
+ */
+export function removeControlledProperty(element, key) {
+  if (element._jexifyControlled) delete element._jexifyControlled[key];
+  element.removeAttribute(key);
+}
+
+/**
+ * Applies an element's controlled value. Called again once a select's
+ * options or a textarea's text are in place, as both can reset it
+ * @param {Element} element - Form element
+ */
+export function applyValue(element) {
+  const value = element._jexifyControlled?.value;
+  if (value == null) return;
+
+  if (element.localName !== "select") {
+    setValue(element, value);
+    return;
+  }
+
+  const values =
+    element.multiple && Array.isArray(value)
+      ? value.map(String)
+      : [String(value)];
+  for (const option of element.options) {
+    option.selected = values.includes(option.value);
+  }
+}
+
+/**
+ * Puts a controlled element back to its last rendered value once the
+ * updates queued by its event handlers were rendered
+ * @param {EventTarget} element - Event target
+ */
+export function restoreControlledState(element) {
+  if (!element?._jexifyControlled) return;
+
+  queueMicrotask(() => {
+    const controlled = element._jexifyControlled;
+    if (!controlled) return;
+
+    if ("checked" in controlled) {
+      element.checked = Boolean(controlled.checked);
+    }
+    applyValue(element);
+  });
+}
+
+/**
+ * Writes an input value, keeping the caret where it was if focused
+ * @private
+ */
+function setValue(element, value) {
+  const next = String(value ?? "");
+  // Writing an unchanged value would move the caret to the end
+  if (element.value === next) return;
+
+  let selection = null;
+  if (element === element.ownerDocument.activeElement) {
+    try {
+      selection = [element.selectionStart, element.selectionEnd];
+    } catch (error) {
+      // Some input types (email, number) have no selection
+    }
+  }
+
+  element.value = next;
+
+  if (selection && selection[0] != null) {
+    element.setSelectionRange(
+      Math.min(selection[0], next.length),
+      Math.min(selection[1], next.length)
+    );
+  }
+}
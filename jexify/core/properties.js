@@ -0,0 +1,100 @@
+/**
+ * Jexify DOM Property Helpers
+ *
+ * Shared by the client reconciler and the server renderer so props
+ * end up as the same attributes in both places.
+ */
+
+// Props consumed by Jexify itself, never written to the DOM
+export const RESERVED_PROPS = new Set(["key", "ref", "children"]);
+
+// Attributes whose presence alone means "true"
+export const BOOLEAN_ATTRIBUTES = new Set([
+  "allowfullscreen",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "formnovalidate",
+  "hidden",
+  "inert",
+  "ismap",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "selected",
+]);
+
+// Elements that never have children or a closing tag
+export const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Prop names that differ from their HTML attribute names
+const ATTRIBUTE_ALIASES = {
+  className: "class",
+  htmlFor: "for",
+};
+
+/**
+ * Maps a prop name to its HTML attribute name
+ * @param {string} key - Prop name
+ * @returns {string} Attribute name
+ */
+export function getAttributeName(key) {
+  if (ATTRIBUTE_ALIASES[key]) return ATTRIBUTE_ALIASES[key];
+  // ariaLabel => aria-label, ariaDescribedBy => aria-describedby
+  if (/^aria[A-Z]/.test(key)) return `aria-${key.slice(4).toLowerCase()}`;
+  return key;
+}
+
+/**
+ * Checks whether a prop is a boolean attribute
+ * @param {string} key - Prop name
+ * @returns {boolean} True for attributes like disabled or checked
+ */
+export function isBooleanAttribute(key) {
+  return BOOLEAN_ATTRIBUTES.has(key.toLowerCase());
+}
+
+/**
+ * Serializes a style object into a CSS declaration list
+ * @param {Object} style - Style object (camelCase or custom properties)
+ * @returns {string} CSS text, e.g. "font-size:12px;color:red"
+ */
+export function styleToString(style) {
+  return Object.entries(style)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([name, value]) => {
+      const property = name.startsWith("--")
+        ? name
+        : name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      return `${property}:${value}`;
+    })
+    .join(";");
+}
@@ -0,0 +1,1242 @@
+/**
+ * Jexify Reconciler
+ *
+ * Keeps the real DOM in sync with VirtualDOM trees by diffing the
+ * previous and next tree instead of rebuilding whole subtrees:
+ * - In-place attribute, style, text and listener patching
+ * - Keyed child reordering
+ * - Component instance reuse across renders
+ * - Error boundaries replacing failed subtrees with a fallback
+ * - Portals rendering into DOM nodes outside the root
+ * - Fragments rendering several siblings without a wrapper
+ * - Refs to DOM nodes and class instances, set once committed
+ */
+
+import { VirtualDOM, Component } from "..";
+import {
+  cleanupComponent,
+  resetServerIds,
+  runEffects,
+  setCurrentComponent,
+} from "../hooks";
+import { unscheduleUpdate } from "./scheduler";
+import {
+  isEventProp,
+  listenToEvents,
+  removeEventHandler,
+  setEventHandler,
+} from "./events";
+import {
+  catchError,
+  getComponentStack,
+  isErrorBoundary,
+  notifyBoundary,
+  recordComponentStack,
+  reportError,
+} from "./errors";
+import {
+  applyValue,
+  isControlledProperty,
+  removeControlledProperty,
+  setControlledProperty,
+} from "./inputs";
+import {
+  RESERVED_PROPS,
+  getAttributeName,
+  isBooleanAttribute,
+} from "./properties";
+
+// Type marker for text nodes created from primitive children
+export const TEXT_NODE = "#text";
+
+// Type marker for portals created with createPortal
+export const PORTAL_NODE = "#portal";
+
+// Type marker for fragments (Fragment, arrays returned by components)
+export const FRAGMENT_NODE = "#fragment";
+
+// Last rendered tree for every root container
+const roots = new WeakMap();
+
+// Lifecycle callbacks waiting for the current commit to finish
+let commitQueue = [];
+
+// Function component instances with passive effects waiting to run
+let passiveQueue = [];
+let passiveFlushScheduled = false;
+
+// Cursor into existing markup while hydrate() adopts it, null otherwise
+let hydration = null;
+
+// Upper bound for state updates a component may trigger while rendering
+const MAX_RENDERS = 25;
+
+/**
+ * Rendered occurrence of a function component
+ *
+ * Every place a function component appears in the tree gets its own
+ * instance, which owns that occurrence's hook slots.
+ */
+class FunctionComponentInstance {
+  /**
+   * @param {Function} type - Component function
+   * @param {Object} props - Component properties
+   */
+  constructor(type, props) {
+    this.type = type;
+    this.props = props;
+    this._parent = null;
+    this._depth = 0;
+    this._vnode = null;
+    this._isMounted = false;
+  }
+
+  /**
+   * Re-renders this instance (called by the scheduler)
+   * @private
+   */
+  _performUpdate() {
+    updateInstance(this);
+  }
+
+  /**
+   * Calls the component with hooks bound to this instance
+   * @returns {any} Raw component output
+   */
+  render() {
+    setCurrentComponent(this);
+    try {
+      return this.type(this.props);
+    } finally {
+      setCurrentComponent(null);
+    }
+  }
+}
+
+/**
+ * Creates a VirtualDOM text node
+ * @param {any} value - Text content
+ * @returns {VirtualDOM} Text node
+ */
+export function createTextVNode(value) {
+  return new VirtualDOM(TEXT_NODE, { nodeValue: String(value) });
+}
+
+/**
+ * Creates a VirtualDOM fragment node
+ * @param {Array} children - Fragment children
+ * @param {Object} [props={}] - Fragment props (only key is used)
+ * @returns {VirtualDOM} Fragment node
+ */
+export function createFragmentVNode(children, props = {}) {
+  return new VirtualDOM(FRAGMENT_NODE, props, ...children);
+}
+
+/**
+ * Normalizes a raw child value into a VirtualDOM node
+ * @param {any} child - VirtualDOM, builder, renderable, array or primitive
+ * @returns {VirtualDOM|null} Normalized node or null when nothing renders
+ */
+export function normalizeChild(child) {
+  if (child == null || typeof child === "boolean") return null;
+  if (child instanceof VirtualDOM) return child;
+  if (Array.isArray(child)) return createFragmentVNode(child);
+  if (typeof child.build === "function") return child.build();
+  if (typeof child === "object" && typeof child.render === "function") {
+    return normalizeChild(child.render());
+  }
+  return createTextVNode(child);
+}
+
+/**
+ * Normalizes a (possibly nested) children array
+ * @param {Array} children - Raw children
+ * @returns {Array<VirtualDOM>} Normalized nodes
+ */
+export function normalizeChildren(children) {
+  const result = [];
+  for (const child of children.flat(Infinity)) {
+    const node = normalizeChild(child);
+    if (node) result.push(node);
+  }
+  return result;
+}
+
+/**
+ * Normalizes the children of a wrapper component (error boundaries,
+ * context providers) into the node it renders
+ * @param {any} children - Raw children
+ * @returns {VirtualDOM} The only child, or a fragment of all of them
+ */
+export function normalizeChildrenNode(children) {
+  const nodes = normalizeChildren([children]);
+  return nodes.length === 1 ? nodes[0] : createFragmentVNode(nodes);
+}
+
+/**
+ * Reads the reconciliation key of a node
+ * @private
+ */
+function getKey(vnode) {
+  return vnode.props.key ?? null;
+}
+
+/**
+ * Checks whether two nodes can be patched into each other
+ * @private
+ */
+function isSameNode(a, b) {
+  return a.type === b.type && getKey(a) === getKey(b);
+}
+
+/**
+ * Checks whether a component type is a class extending Component
+ * @private
+ */
+function isClassComponent(type) {
+  return type.prototype instanceof Component;
+}
+
+/**
+ * Copies a node that is already part of a mounted tree
+ * @private
+ */
+function cloneNode(vnode) {
+  const copy = Object.create(VirtualDOM.prototype);
+  copy.type = vnode.type;
+  copy.props = vnode.props;
+  copy.children = vnode.children;
+  return copy;
+}
+
+/**
+ * Collects the top-level DOM nodes rendered by a node
+ * @param {VirtualDOM} vnode - Mounted node
+ * @returns {Array<Node>} Rendered DOM nodes
+ */
+export function getDomNodes(vnode) {
+  if (!vnode) return [];
+  if (vnode._instance) return getDomNodes(vnode._instance._vnode);
+  if (vnode.type === FRAGMENT_NODE) return vnode._children.flatMap(getDomNodes);
+  return vnode._dom ? [vnode._dom] : [];
+}
+
+/**
+ * Creates the DOM for a node and its subtree
+ * @param {VirtualDOM} vnode - Node to mount
+ * @param {Object|null} [parent=null] - Owning component instance
+ * @returns {VirtualDOM} Mounted node (a copy if the node was already in use)
+ */
+export function mountNode(vnode, parent = null) {
+  if (vnode._mounted) vnode = cloneNode(vnode);
+  vnode._mounted = true;
+
+  if (vnode.type === TEXT_NODE) {
+    vnode._dom = hydration
+      ? hydrateText(vnode.props.nodeValue)
+      : document.createTextNode(vnode.props.nodeValue);
+  } else if (typeof vnode.type === "function") {
+    mountComponent(vnode, parent);
+  } else if (vnode.type === PORTAL_NODE) {
+    mountPortal(vnode, parent);
+  } else if (vnode.type === FRAGMENT_NODE) {
+    vnode._children = getFragmentChildren(vnode).map((child) =>
+      mountNode(child, parent)
+    );
+  } else if (hydration) {
+    hydrateElement(vnode, parent);
+  } else {
+    createElementNode(vnode, parent);
+  }
+
+  return vnode;
+}
+
+/**
+ * Creates a DOM element with its props and children
+ * @private
+ */
+function createElementNode(vnode, parent) {
+  const element = document.createElement(vnode.type);
+  updateProperties(element, {}, vnode.props);
+
+  vnode._children = normalizeChildren(vnode.children).map((child) =>
+    mountNode(child, parent)
+  );
+  for (const child of vnode._children) {
+    for (const node of getDomNodes(child)) element.appendChild(node);
+  }
+  // Select and textarea values depend on their children
+  if (hasContentValue(vnode.type)) applyValue(element);
+  vnode._dom = element;
+  attachRef(vnode.props.ref, element);
+}
+
+/**
+ * Normalizes a fragment's children; an empty fragment keeps an empty
+ * text node so it still has a place among its siblings
+ * @private
+ */
+function getFragmentChildren(vnode) {
+  const children = normalizeChildren(vnode.children);
+  return children.length ? children : [createTextVNode("")];
+}
+
+/**
+ * Patches a fragment's children in place among its parent's nodes
+ * @private
+ */
+function patchFragment(oldVNode, newVNode, parent) {
+  const nodes = getDomNodes(oldVNode);
+  // A detached fragment (e.g. from VirtualDOM.render) has no parent yet
+  const parentDom = nodes[0].parentNode || document.createDocumentFragment();
+
+  newVNode._children = reconcileChildren(
+    parentDom,
+    oldVNode._children,
+    getFragmentChildren(newVNode),
+    parent,
+    nodes[nodes.length - 1].nextSibling
+  );
+}
+
+/**
+ * Mounts a portal, leaving a comment in its own place so its siblings
+ * keep their order
+ * @private
+ */
+function mountPortal(vnode, parent) {
+  vnode._dom = document.createComment("portal");
+  // Portal content is never part of the server markup
+  if (hydration) insertAtCursor(vnode._dom);
+  mountPortalChildren(vnode, parent);
+}
+
+/**
+ * Mounts a portal's children into its container
+ * @private
+ */
+function mountPortalChildren(vnode, parent) {
+  listenToEvents(vnode.props.container);
+  vnode._children = withoutHydration(() =>
+    normalizeChildren(vnode.children).map((child) => mountNode(child, parent))
+  );
+  for (const child of vnode._children) {
+    for (const node of getDomNodes(child)) {
+      vnode.props.container.appendChild(node);
+    }
+  }
+}
+
+/**
+ * Patches a portal's children, moving them when the container changed
+ * @private
+ */
+function patchPortal(oldVNode, newVNode, parent) {
+  newVNode._dom = oldVNode._dom;
+  const { container } = newVNode.props;
+
+  if (container !== oldVNode.props.container) {
+    oldVNode._children.forEach((child) => unmountNode(child));
+    mountPortalChildren(newVNode, parent);
+    return;
+  }
+
+  // Keep the content where it was among other nodes in the container
+  const [lastNode] = getDomNodes(oldVNode._children.at(-1)).slice(-1);
+  newVNode._children = reconcileChildren(
+    container,
+    oldVNode._children,
+    normalizeChildren(newVNode.children),
+    parent,
+    lastNode ? lastNode.nextSibling : null
+  );
+}
+
+/**
+ * Reports a difference between server markup and the client tree
+ * @private
+ */
+function warnHydrationMismatch(message) {
+  if (process.env.NODE_ENV === "development") {
+    console.warn(`[Jexify] Hydration mismatch: ${message}`);
+  }
+}
+
+/**
+ * Describes a DOM node for mismatch warnings
+ * @private
+ */
+function describeNode(node) {
+  if (!node) return "nothing";
+  if (node.nodeType === Node.TEXT_NODE) return `text "${node.data}"`;
+  return `<${node.localName}>`;
+}
+
+/**
+ * Checks whether a node is a server text separator comment
+ * @private
+ */
+function isTextSeparator(node) {
+  return node?.nodeType === Node.COMMENT_NODE && node.data === " ";
+}
+
+/**
+ * Returns the next existing node to adopt, dropping text separators
+ * since the text nodes they kept apart are claimed individually
+ * @private
+ */
+function nextHydratableNode() {
+  let node = hydration.next;
+  while (isTextSeparator(node)) {
+    const next = node.nextSibling;
+    node.remove();
+    node = next;
+  }
+  hydration.next = node;
+  return node;
+}
+
+/**
+ * Inserts a client-created node where the cursor points
+ * @private
+ */
+function insertAtCursor(node) {
+  hydration.parent.insertBefore(node, hydration.next);
+}
+
+/**
+ * Adopts an existing text node, repairing it if the text differs
+ * @private
+ */
+function hydrateText(text) {
+  const existing = nextHydratableNode();
+
+  if (existing?.nodeType === Node.TEXT_NODE) {
+    // Static markup merges adjacent texts, so split them back apart
+    if (text && existing.data !== text && existing.data.startsWith(text)) {
+      existing.splitText(text.length);
+    }
+    if (existing.data !== text) {
+      warnHydrationMismatch(
+        `expected text "${text}" but found "${existing.data}"`
+      );
+      existing.data = text;
+    }
+    hydration.next = existing.nextSibling;
+    return existing;
+  }
+
+  // Empty strings never make it into the markup
+  if (text !== "") {
+    warnHydrationMismatch(
+      `expected text "${text}" but found ${describeNode(existing)}`
+    );
+  }
+  const node = document.createTextNode(text);
+  insertAtCursor(node);
+  return node;
+}
+
+/**
+ * Adopts an existing element and hydrates its children, falling back
+ * to creating the subtree when the markup does not match
+ * @private
+ */
+function hydrateElement(vnode, parent) {
+  const existing = nextHydratableNode();
+
+  if (
+    existing?.nodeType !== Node.ELEMENT_NODE ||
+    existing.localName !== vnode.type.toLowerCase()
+  ) {
+    warnHydrationMismatch(
+      `expected <${vnode.type}> but found ${describeNode(existing)}`
+    );
+
+    const cursor = hydration;
+    hydration = null;
+    try {
+      createElementNode(vnode, parent);
+    } finally {
+      hydration = cursor;
+    }
+
+    if (existing?.nodeType === Node.ELEMENT_NODE) {
+      hydration.parent.replaceChild(vnode._dom, existing);
+      hydration.next = vnode._dom.nextSibling;
+    } else {
+      insertAtCursor(vnode._dom);
+    }
+    return;
+  }
+
+  hydration.next = existing.nextSibling;
+  checkAttributes(existing, vnode.props);
+  // Attaches listeners; attributes already match so rewriting is harmless
+  updateProperties(existing, {}, vnode.props);
+
+  if (vnode.type === "textarea" && vnode.props.value != null) {
+    // The server writes a controlled textarea's value as its text, which
+    // is no child here; it is left alone and applyValue keeps it in sync
+    vnode._children = [];
+  } else {
+    const cursor = hydration;
+    hydration = { parent: existing, next: existing.firstChild };
+    try {
+      vnode._children = normalizeChildren(vnode.children).map((child) =>
+        mountNode(child, parent)
+      );
+      removeUnclaimedNodes();
+    } finally {
+      hydration = cursor;
+    }
+  }
+  if (hasContentValue(vnode.type)) applyValue(existing);
+  vnode._dom = existing;
+  attachRef(vnode.props.ref, existing);
+}
+
+/**
+ * Checks whether an element's value is affected by its children
+ * @private
+ */
+function hasContentValue(type) {
+  return type === "select" || type === "textarea";
+}
+
+/**
+ * Warns about server attributes that differ from the client props
+ * @private
+ */
+function checkAttributes(element, props) {
+  if (process.env.NODE_ENV !== "development") return;
+
+  for (const key in props) {
+    const value = props[key];
+    if (value == null || isEventProp(key, value)) continue;
+    if (RESERVED_PROPS.has(key) || key === "style") continue;
+    // Textarea and select values are content, not attributes
+    if (key === "value" && element.localName !== "input") continue;
+
+    const name = getAttributeName(key);
+    const expected = isBooleanAttribute(key)
+      ? value
+        ? ""
+        : null
+      : String(value);
+    const actual = element.getAttribute(name);
+
+    if (actual !== expected) {
+      warnHydrationMismatch(
+        `<${element.localName}> attribute "${name}" is ${JSON.stringify(actual)} on the server but ${JSON.stringify(expected)} on the client`
+      );
+    }
+  }
+}
+
+/**
+ * Removes server nodes the client tree did not claim
+ * @private
+ */
+function removeUnclaimedNodes() {
+  let node = nextHydratableNode();
+  while (node) {
+    const next = node.nextSibling;
+    if (!isTextSeparator(node)) {
+      warnHydrationMismatch(`found extra ${describeNode(node)} on the server`);
+    }
+    node.remove();
+    node = next;
+  }
+}
+
+/**
+ * Creates the instance for a component node and mounts its output
+ * @private
+ */
+function mountComponent(vnode, parent) {
+  const instance = createInstance(vnode, parent);
+  vnode._instance = instance;
+  renderInstance(instance);
+  instance._isMounted = true;
+
+  if (instance instanceof Component) {
+    attachRef(vnode.props.ref, instance);
+    commitQueue.push(() => instance.componentDidMount?.());
+  }
+}
+
+/**
+ * Returns the props a component receives, with its children
+ * @private
+ */
+function getComponentProps(vnode) {
+  if (!vnode.children.length) return vnode.props;
+  return { ...vnode.props, children: vnode.children };
+}
+
+/**
+ * Creates the instance backing a component node
+ * @param {VirtualDOM} vnode - Component node
+ * @param {Object|null} parent - Owning component instance
+ * @returns {Object} Function component instance or Component
+ */
+export function createInstance(vnode, parent) {
+  const props = getComponentProps(vnode);
+  const instance = isClassComponent(vnode.type)
+    ? new vnode.type(props)
+    : new FunctionComponentInstance(vnode.type, props);
+
+  instance._parent = parent;
+  instance._depth = parent ? parent._depth + 1 : 0;
+  return instance;
+}
+
+/**
+ * Renders an instance and patches its previous output. Error
+ * boundaries catch errors thrown below them and render their fallback
+ * in place of the failed subtree
+ * @private
+ */
+function renderInstance(instance) {
+  const checkpoint = createCheckpoint();
+  instance._updating = true;
+
+  try {
+    renderOutput(instance);
+  } catch (error) {
+    recordComponentStack(error, instance);
+    // Errors from the boundary's own render go to the next boundary up
+    if (instance._renderingSelf || !isErrorBoundary(instance)) {
+      instance._renderingSelf = false;
+      throw error;
+    }
+
+    // Drop the lifecycles and effects queued by the failed subtree
+    restoreCheckpoint(checkpoint);
+    const info = catchError(instance, error);
+    const failed = instance._vnode;
+    instance._vnode = null;
+
+    if (failed) {
+      withoutHydration(() => renderOutput(instance));
+      replaceNode(failed, instance._vnode);
+    } else {
+      renderOutput(instance);
+    }
+    commitQueue.push(() => notifyBoundary(instance, error, info));
+  } finally {
+    instance._updating = false;
+  }
+
+  // Queued after the subtree, so children's effects run before parents'
+  if (!(instance instanceof Component)) {
+    commitQueue.push(() => runEffects(instance, true));
+    passiveQueue.push(instance);
+  }
+}
+
+/**
+ * Renders an instance's output, rendering again while the component
+ * keeps updating its own state
+ * @private
+ */
+function renderOutput(instance) {
+  let renders = 0;
+
+  do {
+    instance._renderingSelf = true;
+    if (++renders > MAX_RENDERS) {
+      throw new Error(
+        "Too many re-renders: a component keeps updating its state while rendering"
+      );
+    }
+    instance._dirty = false;
+    unscheduleUpdate(instance);
+
+    const next = callRender(instance);
+    instance._renderingSelf = false;
+
+    // Nodes created while diffing are new, so hydration is paused
+    instance._vnode = instance._vnode
+      ? withoutHydration(() => diff(instance._vnode, next, instance))
+      : mountNode(next, instance);
+  } while (instance._dirty);
+}
+
+/**
+ * Runs fn with any running hydration paused
+ * @private
+ */
+function withoutHydration(fn) {
+  const cursor = hydration;
+  hydration = null;
+  try {
+    return fn();
+  } finally {
+    hydration = cursor;
+  }
+}
+
+/**
+ * Remembers how much commit work is queued (and where hydration
+ * stands) before a subtree renders
+ * @private
+ */
+function createCheckpoint() {
+  return {
+    commit: commitQueue.length,
+    passive: passiveQueue.length,
+    hydrationNext: hydration ? nextHydratableNode() : null,
+  };
+}
+
+/**
+ * Discards the commit work queued since a checkpoint, and rewinds
+ * hydration so a fallback can adopt the server markup instead
+ * @private
+ */
+function restoreCheckpoint(checkpoint) {
+  commitQueue.splice(checkpoint.commit);
+  passiveQueue.splice(checkpoint.passive);
+  if (hydration) hydration.next = checkpoint.hydrationNext;
+}
+
+/**
+ * Calls an instance's render and normalizes its output
+ * @param {Object} instance - Function component instance or Component
+ * @returns {VirtualDOM} Rendered tree
+ */
+export function callRender(instance) {
+  try {
+    if (instance instanceof Component) {
+      instance._mergePendingStates();
+      return instance._renderOutput();
+    }
+
+    const result = normalizeChild(instance.render());
+    if (!result) {
+      throw new Error(
+        "Component must return a VirtualDOM or renderable object"
+      );
+    }
+    return result;
+  } catch (error) {
+    recordComponentStack(error, instance);
+    throw error;
+  }
+}
+
+/**
+ * Re-renders a mounted component instance on its own, leaving the
+ * rest of the tree untouched
+ * @param {Object} instance - Function component instance or Component
+ */
+export function updateInstance(instance) {
+  // Updates during render or mount are picked up by the running render
+  if (instance._updating) {
+    instance._dirty = true;
+    return;
+  }
+  if (!instance._isMounted) return;
+
+  flushPassiveEffects();
+  const checkpoint = createCheckpoint();
+  try {
+    renderInstance(instance);
+  } catch (error) {
+    restoreCheckpoint(checkpoint);
+    handleUpdateError(instance, error);
+  }
+  flushCommitQueue();
+}
+
+/**
+ * Lets the nearest error boundary above an instance render its fallback
+ * for an error the instance threw while updating. Without one, the last
+ * committed UI stays and the error is reported
+ * @private
+ */
+function handleUpdateError(instance, error) {
+  let boundary = instance._parent;
+  while (boundary && !isErrorBoundary(boundary)) boundary = boundary._parent;
+
+  if (!boundary) {
+    reportError(error, {
+      componentStack: getComponentStack(error, instance),
+      boundary: null,
+    });
+    return;
+  }
+
+  const checkpoint = createCheckpoint();
+  const info = catchError(boundary, error);
+  try {
+    renderInstance(boundary);
+    commitQueue.push(() => notifyBoundary(boundary, error, info));
+  } catch (fallbackError) {
+    // The fallback threw as well: try the next boundary up
+    restoreCheckpoint(checkpoint);
+    handleUpdateError(boundary, fallbackError);
+  }
+}
+
+/**
+ * Patches a mounted node into the next node of the same type and key
+ * @private
+ */
+function patchNode(oldVNode, newVNode, parent) {
+  if (oldVNode === newVNode) return oldVNode;
+  if (newVNode._mounted) newVNode = cloneNode(newVNode);
+  newVNode._mounted = true;
+
+  if (newVNode.type === TEXT_NODE) {
+    newVNode._dom = oldVNode._dom;
+    if (oldVNode.props.nodeValue !== newVNode.props.nodeValue) {
+      newVNode._dom.nodeValue = newVNode.props.nodeValue;
+    }
+  } else if (typeof newVNode.type === "function") {
+    patchComponent(oldVNode, newVNode);
+  } else if (newVNode.type === PORTAL_NODE) {
+    patchPortal(oldVNode, newVNode, parent);
+  } else if (newVNode.type === FRAGMENT_NODE) {
+    patchFragment(oldVNode, newVNode, parent);
+  } else {
+    newVNode._dom = oldVNode._dom;
+    updateProperties(newVNode._dom, oldVNode.props, newVNode.props);
+    patchRef(oldVNode.props.ref, newVNode.props.ref, newVNode._dom);
+    newVNode._children = reconcileChildren(
+      newVNode._dom,
+      oldVNode._children,
+      normalizeChildren(newVNode.children),
+      parent
+    );
+    if (hasContentValue(newVNode.type)) applyValue(newVNode._dom);
+  }
+
+  return newVNode;
+}
+
+/**
+ * Re-renders a component node's instance with its next props
+ * @private
+ */
+function patchComponent(oldVNode, newVNode) {
+  const instance = oldVNode._instance;
+  newVNode._instance = instance;
+  instance.props = getComponentProps(newVNode);
+  renderInstance(instance);
+
+  if (instance instanceof Component) {
+    patchRef(oldVNode.props.ref, newVNode.props.ref, instance);
+    commitQueue.push(() => instance.componentDidUpdate?.());
+  }
+}
+
+/**
+ * Diffs a mounted node against its next version, replacing the DOM
+ * only when the node type or key changed
+ * @param {VirtualDOM} oldVNode - Currently mounted node
+ * @param {VirtualDOM} newVNode - Next node
+ * @param {Object|null} [parent=null] - Owning component instance
+ * @returns {VirtualDOM} The mounted next node
+ */
+export function diff(oldVNode, newVNode, parent = null) {
+  if (isSameNode(oldVNode, newVNode)) {
+    return patchNode(oldVNode, newVNode, parent);
+  }
+
+  const mounted = mountNode(newVNode, parent);
+  replaceNode(oldVNode, mounted);
+  return mounted;
+}
+
+/**
+ * Moves a freshly mounted node into the place of a mounted one and
+ * unmounts the old node
+ * @private
+ */
+function replaceNode(oldVNode, mounted) {
+  const [anchor] = getDomNodes(oldVNode);
+  if (anchor?.parentNode) {
+    for (const node of getDomNodes(mounted)) {
+      anchor.parentNode.insertBefore(node, anchor);
+    }
+  }
+  unmountNode(oldVNode);
+}
+
+/**
+ * Reconciles a list of children, matching by key first and by
+ * position for unkeyed children, then moves DOM nodes into order
+ * (before endNode, or at the end of parentDom)
+ * @private
+ */
+function reconcileChildren(
+  parentDom,
+  oldChildren = [],
+  newChildren,
+  parent,
+  endNode = null
+) {
+  const keyed = new Map();
+  const unkeyed = [];
+
+  for (const child of oldChildren) {
+    const key = getKey(child);
+    if (key != null && !keyed.has(key)) {
+      keyed.set(key, child);
+    } else {
+      // Duplicate keys fall back to matching by position, so no child
+      // is lost (and left in the DOM)
+      if (key != null) warnDuplicateKey(key);
+      unkeyed.push(child);
+    }
+  }
+
+  let unkeyedIndex = 0;
+  const result = newChildren.map((child) => {
+    const key = getKey(child);
+    let match;
+
+    if (key != null) {
+      match = keyed.get(key);
+      keyed.delete(key);
+    } else {
+      match = unkeyed[unkeyedIndex];
+      unkeyed[unkeyedIndex++] = null;
+    }
+
+    if (match && isSameNode(match, child)) {
+      return patchNode(match, child, parent);
+    }
+    if (match) unmountNode(match);
+    return mountNode(child, parent);
+  });
+
+  // Remove children that have no counterpart anymore
+  for (const child of keyed.values()) unmountNode(child);
+  for (const child of unkeyed) if (child) unmountNode(child);
+
+  // Walk backwards so every node only needs its next sibling in place
+  let nextSibling = endNode;
+  for (let i = result.length - 1; i >= 0; i--) {
+    const nodes = getDomNodes(result[i]);
+    for (let j = nodes.length - 1; j >= 0; j--) {
+      const node = nodes[j];
+      if (node.parentNode !== parentDom || node.nextSibling !== nextSibling) {
+        parentDom.insertBefore(node, nextSibling);
+      }
+      nextSibling = node;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Warns about sibling nodes sharing a key
+ * @private
+ */
+function warnDuplicateKey(key) {
+  if (process.env.NODE_ENV === "development") {
+    console.warn(
+      `[Jexify] Duplicate key "${key}" among siblings; keys must be unique`
+    );
+  }
+}
+
+/**
+ * Tears down a mounted node, running unmount lifecycles
+ * @param {VirtualDOM} vnode - Mounted node
+ * @param {boolean} [detach=true] - Whether to remove its DOM nodes
+ */
+export function unmountNode(vnode, detach = true) {
+  const nodes = detach ? getDomNodes(vnode) : [];
+
+  if (vnode._instance) {
+    const instance = vnode._instance;
+    if (instance instanceof Component) {
+      instance.componentWillUnmount?.();
+      setRef(vnode.props.ref, null);
+    } else {
+      cleanupComponent(instance);
+    }
+    instance._isMounted = false;
+    unmountNode(instance._vnode, false);
+  } else if (vnode._children) {
+    if (vnode._dom) setRef(vnode.props.ref, null);
+    // Portal content lives elsewhere, so it is always removed itself
+    const detachChildren = vnode.type === PORTAL_NODE;
+    vnode._children.forEach((child) => unmountNode(child, detachChildren));
+  }
+
+  nodes.forEach((node) => node.remove());
+}
+
+/**
+ * Points a ref object or callback ref at a value
+ * @param {Object|Function|null|undefined} ref - Ref to update
+ * @param {any} value - DOM node, instance, handle or null
+ */
+export function setRef(ref, value) {
+  if (typeof ref === "function") {
+    ref(value);
+  } else if (ref && typeof ref === "object") {
+    ref.current = value;
+  }
+}
+
+/**
+ * Sets a ref once the current commit is done
+ * @private
+ */
+function attachRef(ref, value) {
+  if (ref) commitQueue.push(() => setRef(ref, value));
+}
+
+/**
+ * Moves a changed ref from the old to the new ref once committed
+ * @private
+ */
+function patchRef(oldRef, newRef, value) {
+  if (oldRef === newRef) return;
+  commitQueue.push(() => {
+    setRef(oldRef, null);
+    setRef(newRef, value);
+  });
+}
+
+/**
+ * Renders a tree into a container, patching the previous tree if any
+ * @param {VirtualDOM} vnode - Root node
+ * @param {HTMLElement} container - Target DOM container
+ * @returns {VirtualDOM} The mounted root node
+ */
+export function renderRoot(vnode, container) {
+  flushPassiveEffects();
+
+  const prev = takeRoot(container);
+  listenToEvents(container);
+  const checkpoint = createCheckpoint();
+
+  let next;
+  try {
+    if (prev && isSameNode(prev, vnode)) {
+      next = patchNode(prev, vnode);
+    } else {
+      if (prev) unmountNode(prev);
+      container.textContent = "";
+      next = mountNode(vnode);
+      for (const node of getDomNodes(next)) container.appendChild(node);
+    }
+  } catch (error) {
+    // No boundary caught it: the root is cleared rather than left half
+    // rendered
+    restoreCheckpoint(checkpoint);
+    container.textContent = "";
+    throw error;
+  }
+
+  roots.set(container, next);
+  flushCommitQueue();
+  return next;
+}
+
+/**
+ * Adopts server-rendered markup in a container instead of re-creating
+ * it: existing nodes are claimed, listeners attached and mismatches
+ * repaired (with warnings in development)
+ * @param {VirtualDOM} vnode - Root node
+ * @param {HTMLElement} container - Container holding the server markup
+ * @returns {VirtualDOM} The mounted root node
+ */
+export function hydrateRoot(vnode, container) {
+  flushPassiveEffects();
+  unmountRoot(container);
+  listenToEvents(container);
+  const checkpoint = createCheckpoint();
+  resetServerIds();
+
+  hydration = { parent: container, next: container.firstChild };
+  let root;
+  try {
+    root = mountNode(vnode, null);
+    removeUnclaimedNodes();
+  } catch (error) {
+    // The caller renders from scratch, which must not run the lifecycles
+    // and effects queued by the failed pass
+    restoreCheckpoint(checkpoint);
+    throw error;
+  } finally {
+    hydration = null;
+  }
+
+  roots.set(container, root);
+  flushCommitQueue();
+  return root;
+}
+
+/**
+ * Tells whether hydrate() is adopting server markup right now
+ * @returns {boolean} True while nodes are being hydrated
+ */
+export function isHydrating() {
+  return hydration !== null;
+}
+
+/**
+ * Unmounts the tree rendered into a container
+ * @param {HTMLElement} container - Root container
+ */
+export function unmountRoot(container) {
+  const prev = takeRoot(container);
+  if (prev) unmountNode(prev);
+}
+
+/**
+ * Records a Component mounted with Component#mount as the root of its
+ * container, so the next render into it (or unmountRoot) unmounts it
+ * @param {Component} instance - Mounted instance
+ * @param {HTMLElement} container - Container it was mounted into
+ */
+export function registerRoot(instance, container) {
+  roots.set(container, {
+    type: instance.constructor,
+    props: instance.props,
+    children: [],
+    _instance: instance,
+    _mounted: true,
+  });
+}
+
+/**
+ * Removes and returns a container's root, skipping a Component that
+ * was unmounted by hand since it was registered
+ * @private
+ */
+function takeRoot(container) {
+  const root = roots.get(container);
+  roots.delete(container);
+  return root?._instance?._isMounted === false ? null : root;
+}
+
+/**
+ * Runs lifecycle callbacks and layout effects collected during the
+ * last commit, then schedules its passive effects
+ */
+export function flushCommitQueue() {
+  const queue = commitQueue;
+  commitQueue = [];
+  queue.forEach((callback) => callback());
+
+  if (passiveQueue.length && !passiveFlushScheduled) {
+    passiveFlushScheduled = true;
+    setTimeout(flushPassiveEffects, 0);
+  }
+}
+
+/**
+ * Runs pending passive effects; also called before the next render so
+ * effects never fall behind the committed DOM
+ */
+export function flushPassiveEffects() {
+  passiveFlushScheduled = false;
+  const queue = passiveQueue;
+  passiveQueue = [];
+  queue.forEach((instance) => {
+    if (instance._isMounted) runEffects(instance, false);
+  });
+}
+
+/**
+ * Applies the difference between two prop objects to a DOM element
+ * @private
+ */
+function updateProperties(element, oldProps, newProps) {
+  for (const key in oldProps) {
+    if (oldProps[key] != null && newProps[key] == null) {
+      removeProperty(element, key, oldProps[key]);
+    }
+  }
+
+  for (const key in newProps) {
+    const value = newProps[key];
+    if (value == null || value === oldProps[key]) continue;
+    setProperty(element, key, value, oldProps[key]);
+  }
+}
+
+/**
+ * Sets a single prop on a DOM element
+ * @private
+ */
+function setProperty(element, key, value, prev) {
+  if (RESERVED_PROPS.has(key)) return;
+
+  if (isEventProp(key, value)) {
+    setEventHandler(element, key, value);
+    return;
+  }
+  if (prev != null && isEventProp(key, prev)) {
+    removeProperty(element, key, prev);
+  }
+
+  if (key === "style" && typeof value === "object") {
+    const prevStyle = typeof prev === "object" && prev !== null ? prev : null;
+    if (!prevStyle) element.style.cssText = "";
+    patchStyle(element.style, prevStyle || {}, value);
+  } else if (isControlledProperty(element, key)) {
+    setControlledProperty(element, key, value);
+  } else if (key === "className") {
+    element.className = value;
+  } else if (isBooleanAttribute(key)) {
+    element.toggleAttribute(getAttributeName(key), Boolean(value));
+  } else {
+    element.setAttribute(getAttributeName(key), value);
+  }
+}
+
+/**
+ * Removes a single prop from a DOM element
+ * @private
+ */
+function removeProperty(element, key, prev) {
+  if (RESERVED_PROPS.has(key)) return;
+
+  if (isEventProp(key, prev)) {
+    removeEventHandler(element, key);
+  } else if (key === "style") {
+    element.removeAttribute("style");
+  } else if (isControlledProperty(element, key)) {
+    removeControlledProperty(element, key);
+  } else {
+    element.removeAttribute(getAttributeName(key));
+  }
+}
+
+/**
+ * Applies the difference between two style objects
+ * @private
+ */
+function patchStyle(style, prev, next) {
+  for (const name in prev) {
+    if (!(name in next)) setStyle(style, name, "");
+  }
+  for (const name in next) {
+    if (next[name] !== prev[name]) setStyle(style, name, next[name]);
+  }
+}
+
+/**
+ * Sets a single style declaration (supports custom properties)
+ * @private
+ */
+function setStyle(style, name, value) {
+  if (name.includes("-")) {
+    style.setProperty(name, value ?? "");
+  } else {
+    style[name] = value ?? "";
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Jexify Update Scheduler
+ *
+ * Shared by class components and hooks:
+ * - Batches updates from one event handler or microtask into one render
+ * - Renders parents before children, each instance at most once
+ * - Priorities to keep user input ahead of background updates
+ * - flushSync escape hatch for synchronous rendering
+ */
+
+import { getComponentStack, reportError } from "./errors";
+
+/**
+ * Update priorities, most urgent first
+ */
+export const Priority = Object.freeze({
+  IMMEDIATE: 0, // Rendered before flushSync returns
+  USER_BLOCKING: 1, // Event handlers, rendered in a microtask
+  NORMAL: 2, // Default, rendered on the next animation frame
+  LOW: 3, // Transitions, rendered when the browser is idle
+});
+
+// Instances waiting for a render, with their most urgent priority
+const pending = new Map();
+
+// Priorities that already have a flush scheduled
+const scheduledFlushes = new Set();
+
+let currentPriority = Priority.NORMAL;
+let isFlushing = false;
+
+// Upper bound for render passes in one flush; more means components keep
+// updating each other from effects or lifecycles
+const MAX_UPDATE_PASSES = 50;
+
+/**
+ * Returns the priority assigned to updates queued right now
+ * @returns {number} Current priority
+ */
+export function getCurrentPriority() {
+  return currentPriority;
+}
+
+/**
+ * Runs a function with a given update priority
+ * @param {number} priority - One of Priority
+ * @param {Function} fn - Function queuing updates
+ * @returns {any} Return value of fn
+ */
+export function runWithPriority(priority, fn) {
+  const previous = currentPriority;
+  currentPriority = priority;
+  try {
+    return fn();
+  } finally {
+    currentPriority = previous;
+  }
+}
+
+/**
+ * Marks updates queued in fn as background work
+ * @param {Function} fn - Function queuing updates
+ */
+export function startTransition(fn) {
+  runWithPriority(Priority.LOW, fn);
+}
+
+/**
+ * Queues a re-render of a component instance
+ * @param {Object} instance - Function component instance or Component
+ * @param {number} [priority] - Defaults to the current priority
+ */
+export function scheduleUpdate(instance, priority = currentPriority) {
+  // Updates from the instance's own render make that render run again,
+  // which stops components that update on every render
+  if (instance._renderingSelf) {
+    instance._dirty = true;
+    return;
+  }
+
+  const queued = pending.get(instance);
+  if (queued === undefined || priority < queued) {
+    pending.set(instance, priority);
+  }
+
+  // Immediate updates are flushed by flushSync itself
+  if (priority !== Priority.IMMEDIATE) requestFlush(priority);
+}
+
+/**
+ * Drops a queued update once the instance rendered anyway
+ * @param {Object} instance - Instance about to render
+ */
+export function unscheduleUpdate(instance) {
+  pending.delete(instance);
+}
+
+/**
+ * Runs fn and renders its updates (and pending user input) before returning
+ * @param {Function} [fn] - Function queuing updates
+ * @returns {any} Return value of fn
+ */
+export function flushSync(fn) {
+  try {
+    return fn ? runWithPriority(Priority.IMMEDIATE, fn) : undefined;
+  } finally {
+    flushUpdates(Priority.USER_BLOCKING);
+  }
+}
+
+/**
+ * Renders every queued instance up to a priority, parents first
+ * @param {number} [maxPriority=Priority.LOW] - Least urgent priority to render
+ */
+export function flushUpdates(maxPriority = Priority.LOW) {
+  // Updates queued while flushing are picked up by the running loop
+  if (isFlushing) return;
+  isFlushing = true;
+
+  try {
+    let batch;
+    let passes = 0;
+    while ((batch = takeBatch(maxPriority)).length) {
+      batch.sort((a, b) => a._depth - b._depth);
+
+      if (++passes > MAX_UPDATE_PASSES) {
+        // Drop the queued updates instead of freezing the page
+        pending.clear();
+        const error = new Error(
+          "Maximum update depth exceeded: a component keeps updating its state in an effect or lifecycle"
+        );
+        reportError(error, {
+          componentStack: getComponentStack(error, batch[0]),
+          boundary: null,
+        });
+        break;
+      }
+
+      for (const instance of batch) {
+        // Skip instances re-rendered along with an ancestor
+        if (!pending.has(instance)) continue;
+        pending.delete(instance);
+        instance._performUpdate();
+      }
+    }
+  } finally {
+    isFlushing = false;
+  }
+}
+
+/**
+ * Collects queued instances up to a priority
+ * @private
+ */
+function takeBatch(maxPriority) {
+  const batch = [];
+  for (const [instance, priority] of pending) {
+    if (priority <= maxPriority) batch.push(instance);
+  }
+  return batch;
+}
+
+/**
+ * Schedules a flush for a priority level
+ * @private
+ */
+function requestFlush(priority) {
+  if (scheduledFlushes.has(priority)) return;
+  scheduledFlushes.add(priority);
+
+  const run = () => {
+    scheduledFlushes.delete(priority);
+    flushUpdates(priority);
+  };
+
+  if (priority === Priority.USER_BLOCKING) {
+    queueMicrotask(run);
+  } else if (priority === Priority.NORMAL) {
+    if (typeof requestAnimationFrame === "function") {
+      requestAnimationFrame(run);
+    } else {
+      setTimeout(run, 0);
+    }
+  } else if (typeof requestIdleCallback === "function") {
+    requestIdleCallback(run);
+  } else {
+    setTimeout(run, 0);
+  }
+}
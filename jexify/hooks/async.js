@@ -1,4 +1,4 @@
-import { useMinor, useMajor } from ".";
+import { useMinor, useMajor, useServerData } from ".";
 
 /**
  * Async operation hook
@@ -21,5 +21,6 @@ export function useAsync(asyncFunction, dependencies = []) {
       .catch((error) => setState({ loading: false, error, data: null }));
   }, dependencies);
 
-  return state;
+  // Streaming server renders wait for the data instead of the effect
+  return useServerData(asyncFunction) || state;
 }
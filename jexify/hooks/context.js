@@ -1,28 +1,109 @@
-let contexts = new Map();
+import { getCurrentComponent, isServerRendering, useMajor } from ".";
+import { normalizeChildrenNode } from "../core/reconciler";
+import { scheduleUpdate } from "../core/scheduler";
+
+/**
+ * Stores a new provider value and re-renders its consumers
+ * @private
+ */
+function updateProvider(provider, value) {
+  if (Object.is(provider._contextValue, value)) return;
+  provider._contextValue = value;
+
+  for (const consumer of provider._subscribers) {
+    if (consumer._isMounted) {
+      scheduleUpdate(consumer);
+    } else {
+      provider._subscribers.delete(consumer);
+    }
+  }
+}
+
+/**
+ * Finds the closest Provider of a context above a component
+ * @private
+ */
+function findProvider(component, context) {
+  for (let owner = component._parent; owner; owner = owner._parent) {
+    if (owner.type === context.Provider) return owner;
+  }
+  return null;
+}
 
 /**
  * Creates a new context (similar to createContext)
- * @param {any} defaultValue - Default context value
- * @return {Symbol} - Context identifier
+ * @param {any} defaultValue - Value used without a Provider above
+ * @return {Object} - Context with Provider and Consumer components
+ * @example
+ * const Theme = createClouds("light");
+ * createElement(Theme.Provider, { value: "dark" }, createElement(App));
  */
 export function createClouds(defaultValue) {
-  const context = Symbol("context");
-  contexts.set(context, defaultValue);
+  const context = { defaultValue, Provider: null, Consumer: null };
+
+  /**
+   * Supplies a value to its subtree; nested providers override it
+   * @param {Object} props - { value, children }
+   */
+  context.Provider = function Provider(props) {
+    const provider = getCurrentComponent("Provider");
+    const value = "value" in props ? props.value : defaultValue;
+
+    if (!provider._subscribers) {
+      provider._subscribers = new Set();
+      provider._contextValue = value;
+      provider._propValue = value;
+    } else if (!Object.is(value, provider._propValue)) {
+      // A new value prop replaces any value set by consumers
+      provider._propValue = value;
+      updateProvider(provider, value);
+    }
+
+    return normalizeChildrenNode(props.children);
+  };
+
+  /**
+   * Calls its child function with the current value
+   * @param {Object} props - { children: [(value) => VirtualDOM] }
+   */
+  context.Consumer = function Consumer({ children = [] }) {
+    const [render] = children;
+    if (typeof render !== "function") {
+      throw new TypeError("Consumer expects a function as its child");
+    }
+    return render(useClouds(context).get());
+  };
+
   return context;
 }
 
 /**
- * Context hook (similar to useContext)
- * @param {Symbol} context - Context identifier
+ * Context hook (similar to useContext). Reads the nearest Provider
+ * above the component and re-renders it when that value changes
+ * @param {Object} context - Context created by createClouds
  * @return {Object} { get, set } - Context accessors
+ * @throws {TypeError} If context was not created by createClouds
  */
 export function useClouds(context) {
-  if (!contexts.has(context)) {
-    throw new Error("Context must be used within a provider");
+  if (typeof context?.Provider !== "function") {
+    throw new TypeError("useClouds expects a context created by createClouds");
   }
 
+  const component = getCurrentComponent("useClouds");
+  const provider = findProvider(component, context);
+
+  // Subscribed while rendering so no change after this render is missed
+  if (provider && !isServerRendering()) provider._subscribers.add(component);
+  useMajor(() => () => provider?._subscribers.delete(component), []);
+
   return {
-    set: (newValue) => contexts.set(context, newValue).get(context),
-    get: () => contexts.get(context),
+    get: () => (provider ? provider._contextValue : context.defaultValue),
+    set: (newValue) => {
+      if (!provider) {
+        throw new Error("Context must be used within a provider");
+      }
+      updateProvider(provider, newValue);
+      return newValue;
+    },
   };
 }
@@ -13,20 +13,23 @@
  * - Cache
  */
 
-import { mount } from "..";
+import { scheduleUpdate } from "../core/scheduler";
 
-// Global state for tracking component context
+// Component instance whose render is running, and its hook slots
 let currentComponent = null;
-let states = new Map();
-let effects = new Map();
-let refs = new Map();
+let states = new WeakMap();
+let effects = new WeakMap();
+let refs = new WeakMap();
 let stateIndex = 0;
 let effectIndex = 0;
 let refIndex = 0;
 
+// Set while rendering to HTML: effects never run and updates are ignored
+let serverRendering = false;
+
 /**
  * Sets the current component context and resets hook indices
- * @param {Object} component - The current component instance
+ * @param {Object|null} component - The current component instance
  * @return {void}
  */
 export function setCurrentComponent(component) {
@@ -36,6 +39,102 @@ export function setCurrentComponent(component) {
   refIndex = 0;
 }
 
+/**
+ * Switches hooks in and out of server rendering mode
+ * @param {boolean} enabled - Whether a server render is running
+ * @return {void}
+ */
+export function setServerRendering(enabled) {
+  serverRendering = enabled;
+}
+
+/**
+ * Tells whether hooks are running inside a server render
+ * @return {boolean} - True during renderToString and friends
+ */
+export function isServerRendering() {
+  return serverRendering;
+}
+
+/**
+ * Resolves async data during a streaming server render. The first pass
+ * registers the promise and gets the loading state; once it settles the
+ * stream renderer renders the component again and gets the result
+ * @param {Function} asyncFunction - Async function to execute
+ * @return {Object|null} - { loading, error, data }, or null when the
+ *   current render cannot wait for data (client, renderToString)
+ */
+export function useServerData(asyncFunction) {
+  const component = getCurrentComponent("useServerData");
+  const serverData = component._serverData;
+  if (!serverRendering || !serverData) return null;
+
+  const result = serverData.results[serverData.index++];
+  if (!result) {
+    serverData.promises.push(Promise.resolve().then(asyncFunction));
+    return { loading: true, error: null, data: null };
+  }
+
+  return result.status === "fulfilled"
+    ? { loading: false, error: null, data: result.value }
+    : { loading: false, error: result.reason, data: null };
+}
+
+/**
+ * Returns the component instance whose render is running
+ * @param {string} hookName - Name of the calling hook (for errors)
+ * @return {Object} - The current component instance
+ * @throws {Error} If called outside a function component render
+ */
+export function getCurrentComponent(hookName) {
+  if (!currentComponent) {
+    throw new Error(`${hookName} must be called inside a function component`);
+  }
+  return currentComponent;
+}
+
+/**
+ * Checks whether a dependency array changed since the last render
+ * @param {Array|undefined} prevDeps - Dependencies from the last render
+ * @param {Array} nextDeps - Dependencies from this render
+ * @return {boolean} - True when the hook must re-run
+ */
+function depsChanged(prevDeps, nextDeps) {
+  return (
+    !prevDeps ||
+    nextDeps.length !== prevDeps.length ||
+    nextDeps.some((dep, i) => dep !== prevDeps[i])
+  );
+}
+
+/**
+ * Runs the effects a component queued during its last render.
+ * Called by the reconciler once the DOM is committed: layout effects
+ * synchronously, passive effects after the browser had a chance to paint
+ * @param {Object} component - The component instance
+ * @param {boolean} layout - Whether to run layout or passive effects
+ * @return {void}
+ */
+export function runEffects(component, layout) {
+  const componentEffects = effects.get(component);
+  if (!componentEffects) return;
+
+  // Clean up every changed effect before running any of them
+  const queued = componentEffects.filter(
+    (effect) => effect?.pending && effect.layout === layout
+  );
+  queued.forEach((effect) => {
+    if (effect.cleanup) effect.cleanup();
+    effect.cleanup = undefined;
+  });
+
+  queued.forEach((effect) => {
+    effect.pending = false;
+    const cleanup = effect.callback();
+    effect.cleanup = typeof cleanup === "function" ? cleanup : undefined;
+  });
+}
+
 /**
  * Cleans up all effects and states for a component when unmounted
  * @param {Object} component - The component to clean up
@@ -61,7 +160,7 @@ export function cleanupComponent(component) {
  * @return {Array} [state, setState] - State and state setter
  */
 export function useMinor(initialValue) {
-  const component = currentComponent;
+  const component = getCurrentComponent("useMinor");
   const index = stateIndex++;
 
   if (!states.has(component)) {
@@ -82,9 +181,8 @@ export function useMinor(initialValue) {
 
     if (componentStates[index] !== value) {
       componentStates[index] = value;
-      // Re-render the component
-      const root = document.getElementById("root");
-      mount(component, root);
+      // Queue a re-render of only the component instance owning this state
+      if (!serverRendering) scheduleUpdate(component);
     }
   };
 
@@ -92,41 +190,51 @@ export function useMinor(initialValue) {
 }
 
 /**
- * Side effect hook (similar to useEffect)
+ * Records an effect during render; it runs after the DOM is committed
+ * @param {string} hookName - Name of the calling hook (for errors)
  * @param {Function} callback - Effect callback
  * @param {Array} dependencies - Dependency array
+ * @param {boolean} layout - Whether this is a layout effect
  * @return {void}
  */
-export function useMajor(callback, dependencies = []) {
-  const component = currentComponent;
+function queueEffect(hookName, callback, dependencies, layout) {
+  const component = getCurrentComponent(hookName);
   const index = effectIndex++;
 
+  // Effects need a DOM, so server renders skip them entirely
+  if (serverRendering) return;
+
   if (!effects.has(component)) {
     effects.set(component, []);
   }
 
   const componentEffects = effects.get(component);
-  const prevDeps = componentEffects[index]?.dependencies;
-
-  const depsChanged =
-    !prevDeps ||
-    dependencies.length !== prevDeps.length ||
-    dependencies.some((dep, i) => dep !== prevDeps[i]);
+  const effect = componentEffects[index];
 
-  if (depsChanged) {
-    // Clean up previous effect if exists
-    if (componentEffects[index]?.cleanup) {
-      componentEffects[index].cleanup();
-    }
-
-    const cleanup = callback();
+  if (!effect) {
     componentEffects[index] = {
+      callback,
       dependencies,
-      cleanup: typeof cleanup === "function" ? cleanup : undefined,
+      layout,
+      pending: true,
+      cleanup: undefined,
     };
+  } else if (depsChanged(effect.dependencies, dependencies)) {
+    // The previous cleanup runs right before the new callback
+    Object.assign(effect, { callback, dependencies, pending: true });
   }
 }
 
+/**
+ * Side effect hook (similar to useEffect)
+ * @param {Function} callback - Effect callback
+ * @param {Array} dependencies - Dependency array
+ * @return {void}
+ */
+export function useMajor(callback, dependencies = []) {
+  queueEffect("useMajor", callback, dependencies, false);
+}
+
 /**
  * Layout effect hook (similar to useLayoutEffect)
  * @param {Function} callback - Effect callback
@@ -134,10 +242,8 @@ export function useMajor(callback, dependencies = []) {
  * @return {void}
  */
 export function useLayoutMajor(callback, dependencies = []) {
-  // Use microtask to run after DOM mutations but before paint
-  useMajor(() => {
-    Promise.resolve().then(callback);
-  }, dependencies);
+  // Runs synchronously after DOM mutations but before paint
+  queueEffect("useLayoutMajor", callback, dependencies, true);
 }
 
 /**
@@ -146,7 +252,7 @@ export function useLayoutMajor(callback, dependencies = []) {
  * @return {Object} { current: value } - Ref object
  */
 export function useEcho(initialValue) {
-  const component = currentComponent;
+  const component = getCurrentComponent("useEcho");
   const index = refIndex++;
 
   if (!refs.has(component)) {
@@ -168,14 +274,15 @@ export function useEcho(initialValue) {
  * @param {Array} dependencies - Dependency array
  * @return {any} - Memoized value
  */
-export function useMemo(factory, dependencies) {
-  const [value, setValue] = useMinor(null);
+export function useMemo(factory, dependencies = []) {
+  const memo = useEcho(null);
 
-  useMajor(() => {
-    setValue(factory());
-  }, dependencies);
+  // Computed during render so the value is ready on the first pass
+  if (!memo.current || depsChanged(memo.current.dependencies, dependencies)) {
+    memo.current = { value: factory(), dependencies };
+  }
 
-  return value;
+  return memo.current.value;
 }
 
 /**
@@ -188,6 +295,29 @@ export function useCallback(callback, dependencies) {
   return useMemo(() => callback, dependencies);
 }
 
+/**
+ * Turns a function component into an error boundary: errors thrown
+ * while rendering its children are caught and it renders again with
+ * the error, so it can return a fallback instead
+ * @param {Function} [onError] - Called with (error, info) once the
+ *   fallback is committed; info.componentStack shows where it happened
+ * @return {Array} [error, reset] - Caught error (null if none) and a
+ *   function rendering the children again
+ * @example
+ * const [error, reset] = useErrorBoundary(report);
+ * if (error) return button({ onClick: reset }, "Retry");
+ */
+export function useErrorBoundary(onError) {
+  const component = getCurrentComponent("useErrorBoundary");
+  const [caught, setCaught] = useMinor(null);
+
+  // Read by the reconciler when a child throws
+  component._catchError = (error) => setCaught({ error });
+  component._didCatch = onError;
+
+  return [caught ? caught.error : null, () => setCaught(null)];
+}
+
 // Export file's
 export * from "./context";
 export * from "./utility";
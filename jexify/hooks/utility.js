@@ -1,22 +1,33 @@
-import { useMajor, useEcho } from ".";
+import { useMajor, useEcho, useLayoutMajor, isServerRendering } from ".";
+import { isHydrating, setRef } from "../core/reconciler";
 
-// Create variable
+// Client ids, and ids of server renders (also used while hydrating their
+// markup), which count from zero in every render so both sides agree
 let idCounter = 0;
+let serverIdCounter = 0;
+
+/**
+ * Restarts server render ids; called when a server render or a
+ * hydration starts
+ * @return {void}
+ */
+export function resetServerIds() {
+  serverIdCounter = 0;
+}
 
 /**
  * Imperative handle hook (similar to useImperativeHandle)
- * @param {Object} ref - Ref object
- * @param {Function} init - Initializer function
+ * @param {Object|Function} ref - Ref object or callback ref
+ * @param {Function} init - Returns the handle exposed through the ref
  * @param {Array} dependencies - Dependency array
  * @return {void}
  */
 export function useImperativeHandle(ref, init, dependencies = []) {
-  useMajor(() => {
-    if (ref) {
-      const methods = init();
-      Object.assign(ref.current, methods);
-    }
-  }, dependencies);
+  useLayoutMajor(() => {
+    if (!ref) return;
+    setRef(ref, init());
+    return () => setRef(ref, null);
+  }, [ref, ...dependencies]);
 }
 
 /**
@@ -33,14 +44,18 @@ export function useDebugValue(value, format) {
 }
 
 /**
- * Unique ID hook (similar to useId)
+ * Unique ID hook (similar to useId). Ids match between a server render
+ * and the hydration of its markup
  * @return {string} - Unique ID
  */
 export function useId() {
   const id = useEcho(null);
 
   if (id.current === null) {
-    id.current = `jexify-${idCounter++}`;
+    id.current =
+      isServerRendering() || isHydrating()
+        ? `jexify-${serverIdCounter++}`
+        : `jexify-c${idCounter++}`;
   }
 
   return id.current;
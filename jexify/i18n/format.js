@@ -0,0 +1,238 @@
+/**
+ * Jexify Message Format
+ *
+ * Parses and formats ICU-style messages:
+ * - Arguments: "Hello {name}"
+ * - Plurals: "{count, plural, =0 {No items} one {# item} other {# items}}"
+ * - Ordinals: "{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}"
+ * - Selects: "{gender, select, female {She} male {He} other {They}}"
+ * - Formatted arguments: "{total, number, percent}", "{day, date, long}"
+ * - Quoting: '{' and '}' are literal inside quotes, '' is a quote
+ */
+
+// Parsed messages by source text; messages are parsed once
+const parsedMessages = new Map();
+
+// Intl formatters by locale and options; they are costly to create
+const formatters = new Map();
+
+// Types whose options are selected by the argument value
+const SELECT_TYPES = new Set(["plural", "select", "selectordinal"]);
+
+// Intl options for the named number, date and time styles
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: "percent" },
+};
+
+/**
+ * Returns a cached Intl formatter
+ * @param {Function} Formatter - Intl constructor, e.g. Intl.NumberFormat
+ * @param {string} locale - Locale
+ * @param {Object} [options={}] - Formatter options
+ * @returns {Object} Formatter instance
+ */
+export function getFormatter(Formatter, locale, options = {}) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(locale, options));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Parses a message into text and argument nodes
+ * @param {string} message - ICU-style message
+ * @returns {Array} Nodes: strings, { pound: true } and arguments
+ *   { name, type, style, options, offset }
+ * @throws {SyntaxError} If a brace or option is not closed
+ */
+export function parseMessage(message) {
+  if (parsedMessages.has(message)) return parsedMessages.get(message);
+
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new SyntaxError(`${reason} at ${pos} in message "${message}"`);
+  };
+
+  const skipSpaces = () => {
+    while (/\s/.test(message[pos] || "")) pos++;
+  };
+
+  const readUntil = (pattern) => {
+    const start = pos;
+    while (pos < message.length && !pattern.test(message[pos])) pos++;
+    if (pos >= message.length) fail("Unclosed argument");
+    return message.slice(start, pos).trim();
+  };
+
+  const parseNodes = () => {
+    const nodes = [];
+    let text = "";
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = "";
+    };
+
+    while (pos < message.length) {
+      const char = message[pos];
+
+      if (char === "{") {
+        flush();
+        pos++;
+        nodes.push(parseArgument());
+      } else if (char === "}") {
+        break;
+      } else if (char === "#") {
+        flush();
+        nodes.push({ pound: true });
+        pos++;
+      } else if (char === "'" && message[pos + 1] === "'") {
+        text += "'";
+        pos += 2;
+      } else if (char === "'" && /[{}#]/.test(message[pos + 1] || "")) {
+        // Quoted literal text, up to the next single quote
+        const end = message.indexOf("'", pos + 1);
+        text += message.slice(pos + 1, end === -1 ? undefined : end);
+        pos = end === -1 ? message.length : end + 1;
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+
+    flush();
+    return nodes;
+  };
+
+  const parseArgument = () => {
+    const name = readUntil(/[,}]/);
+    if (message[pos++] === "}") return { name };
+
+    const type = readUntil(/[,}]/);
+    if (message[pos++] === "}") return { name, type };
+
+    if (!SELECT_TYPES.has(type)) {
+      const style = readUntil(/}/);
+      pos++;
+      return { name, type, style };
+    }
+
+    const options = {};
+    let offset = 0;
+    for (;;) {
+      skipSpaces();
+      if (pos >= message.length) fail("Unclosed argument");
+      if (message[pos] === "}") break;
+
+      const selector = readUntil(/[\s{]/);
+      if (selector.startsWith("offset:")) {
+        offset = Number(selector.slice(7));
+        continue;
+      }
+      skipSpaces();
+      if (message[pos] !== "{") fail(`Expected "{" after "${selector}"`);
+      pos++;
+      options[selector] = parseNodes();
+      if (message[pos] !== "}") fail(`Unclosed option "${selector}"`);
+      pos++;
+    }
+    pos++;
+
+    if (!options.other) fail(`Missing "other" option for "${name}"`);
+    return { name, type, options, offset };
+  };
+
+  const nodes = parseNodes();
+  if (pos < message.length) fail('Unexpected "}"');
+
+  parsedMessages.set(message, nodes);
+  return nodes;
+}
+
+/**
+ * Formats a message with its arguments
+ * @param {string} message - ICU-style message
+ * @param {Object} [params={}] - Argument values
+ * @param {string} [locale="en"] - Locale for plural rules and numbers
+ * @returns {string} Formatted message
+ * @example
+ * formatMessage("{n, plural, one {# file} other {# files}}", { n: 3 });
+ * // "3 files"
+ */
+export function formatMessage(message, params = {}, locale = "en") {
+  return formatNodes(parseMessage(message), params, locale, null);
+}
+
+/**
+ * Formats parsed nodes; pluralValue replaces # inside plural options
+ * @private
+ */
+function formatNodes(nodes, params, locale, pluralValue) {
+  let output = "";
+
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      output += node;
+    } else if (node.pound) {
+      output +=
+        pluralValue == null
+          ? "#"
+          : getFormatter(Intl.NumberFormat, locale).format(pluralValue);
+    } else {
+      output += formatArgument(node, params, locale, pluralValue);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Formats a single argument
+ * @private
+ */
+function formatArgument(node, params, locale, pluralValue) {
+  const value = params[node.name];
+
+  switch (node.type) {
+    case undefined:
+      // Missing arguments stay visible instead of rendering "undefined"
+      return value == null ? `{${node.name}}` : String(value);
+
+    case "number":
+      return getFormatter(
+        Intl.NumberFormat,
+        locale,
+        NUMBER_STYLES[node.style]
+      ).format(value);
+
+    case "date":
+    case "time":
+      return getFormatter(Intl.DateTimeFormat, locale, {
+        [node.type === "date" ? "dateStyle" : "timeStyle"]:
+          node.style || "medium",
+      }).format(value instanceof Date ? value : new Date(value));
+
+    case "plural":
+    case "selectordinal": {
+      const number = Number(value);
+      const exact = node.options[`=${number}`];
+      if (exact) return formatNodes(exact, params, locale, number);
+
+      const category = getFormatter(Intl.PluralRules, locale, {
+        type: node.type === "plural" ? "cardinal" : "ordinal",
+      }).select(number - node.offset);
+      const option = node.options[category] || node.options.other;
+      return formatNodes(option, params, locale, number - node.offset);
+    }
+
+    case "select": {
+      const option = node.options[String(value)] || node.options.other;
+      return formatNodes(option, params, locale, pluralValue);
+    }
+
+    default:
+      throw new SyntaxError(`Unknown argument type "${node.type}"`);
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Jexify Internationalization
+ *
+ * Features:
+ * - Locale Provider & useTranslation Hook
+ * - ICU-Style Plural & Select Messages
+ * - Number, Date & Relative Time Formatting (Intl)
+ * - Lazy-Loaded Locale Bundles
+ * - Re-rendering Consumers on Locale Change
+ */
+
+import { createElement, createClouds, useClouds, useMajor, useMinor } from "..";
+import { normalizeChildrenNode } from "../core/reconciler";
+import { formatMessage, getFormatter } from "./format";
+
+// Units tried, largest first, when a relative time is given as a date
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 60 * 60 * 1000],
+  ["month", 30 * 24 * 60 * 60 * 1000],
+  ["week", 7 * 24 * 60 * 60 * 1000],
+  ["day", 24 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000],
+  ["minute", 60 * 1000],
+  ["second", 1000],
+];
+
+/**
+ * Translations, locale and formatting for one application
+ */
+class I18n {
+  /**
+   * @param {Object} [options] - I18n options
+   * @param {string} [options.locale="en"] - Initial locale
+   * @param {string} [options.fallbackLocale="en"] - Locale used for
+   *   keys missing in the current one
+   * @param {Object} [options.messages={}] - Messages by locale
+   */
+  constructor(options = {}) {
+    this.locale = options.locale || "en";
+    this.fallbackLocale = options.fallbackLocale || "en";
+    this.messages = {};
+    this.listeners = new Set();
+
+    // Bundles registered with addLazyLocale, and those being loaded
+    this.loaders = new Map();
+    this.loading = new Map();
+
+    // Only the latest setLocale call applies once its bundle loaded
+    this.pendingLocale = null;
+
+    for (const locale in options.messages) {
+      this.addMessages(locale, options.messages[locale]);
+    }
+  }
+
+  /**
+   * Adds messages to a locale; nested objects become dotted keys
+   * @param {string} locale - Locale, e.g. "fr"
+   * @param {Object} messages - Messages, e.g. { cart: { title: "Cart" } }
+   */
+  addMessages(locale, messages) {
+    this.messages[locale] = {
+      ...this.messages[locale],
+      ...flattenMessages(messages),
+    };
+    if (this.getLocaleChain().includes(locale)) this.notify();
+  }
+
+  /**
+   * Registers a locale bundle loaded when the locale is first used
+   * @param {string} locale - Locale
+   * @param {Function} loader - Function returning a Promise resolving
+   *   to the messages (or a module exporting them as default)
+   * @throws {Error} If locale or loader are invalid
+   * @example
+   * i18n.addLazyLocale("de", () => import("./locales/de.js"));
+   */
+  addLazyLocale(locale, loader) {
+    if (typeof locale !== "string" || !locale) {
+      throw new Error("Locale must be a non-empty string");
+    }
+    if (typeof loader !== "function") {
+      throw new Error("Loader must be a function that returns a Promise");
+    }
+    this.loaders.set(locale, loader);
+  }
+
+  /**
+   * Loads a lazy locale bundle, e.g. to prefetch it
+   * @param {string} locale - Locale
+   * @returns {Promise<void>} Resolves once its messages are available
+   */
+  loadLocale(locale) {
+    const loader = this.loaders.get(locale);
+    if (!loader) return Promise.resolve();
+
+    if (!this.loading.has(locale)) {
+      const task = loader()
+        .then((loaded) => {
+          // Loaded once, like lazy routes
+          this.loaders.delete(locale);
+          this.addMessages(locale, loaded.default || loaded);
+        })
+        .finally(() => this.loading.delete(locale));
+      this.loading.set(locale, task);
+    }
+    return this.loading.get(locale);
+  }
+
+  /**
+   * Switches the locale once its bundles (and the fallback's) loaded,
+   * then re-renders every consumer
+   * @param {string} locale - New locale
+   * @returns {Promise<void>} Resolves once the locale is applied
+   */
+  async setLocale(locale) {
+    this.pendingLocale = locale;
+    await Promise.all(
+      this.getLocaleChain(locale).map((code) => this.loadLocale(code))
+    );
+    if (this.pendingLocale !== locale) return;
+
+    this.pendingLocale = null;
+    if (this.locale === locale) return;
+    this.locale = locale;
+    this.notify();
+  }
+
+  /**
+   * Subscribes to locale and message changes
+   * @param {Function} listener - Called with the i18n instance
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Calls every listener
+   * @private
+   */
+  notify() {
+    for (const listener of this.listeners) listener(this);
+  }
+
+  /**
+   * Locales searched for a key: the locale, its base language
+   * (pt for pt-BR) and the fallback locale
+   * @private
+   */
+  getLocaleChain(locale = this.locale) {
+    const chain = [locale, locale.split("-")[0], this.fallbackLocale];
+    return [...new Set(chain)];
+  }
+
+  /**
+   * Translates a key
+   * @param {string} key - Dotted message key, e.g. "cart.items"
+   * @param {Object} [params={}] - Message arguments
+   * @returns {string} Formatted message, or the key when missing
+   * @example
+   * t("cart.items", { count: 2 });
+   * // "cart.items": "{count, plural, one {# item} other {# items}}"
+   */
+  t(key, params = {}) {
+    for (const locale of this.getLocaleChain()) {
+      const message = this.messages[locale]?.[key];
+      if (message != null) return formatMessage(message, params, locale);
+    }
+
+    if (process.env.NODE_ENV === "development") {
+      console.warn(`[Jexify] Missing translation "${key}" (${this.locale})`);
+    }
+    return key;
+  }
+
+  /**
+   * Formats a number for the current locale
+   * @param {number} value - Number
+   * @param {Object} [options] - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options) {
+    return getFormatter(Intl.NumberFormat, this.locale, options).format(value);
+  }
+
+  /**
+   * Formats a date for the current locale
+   * @param {Date|number|string} value - Date, timestamp or date string
+   * @param {Object} [options] - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate(value, options) {
+    const date = value instanceof Date ? value : new Date(value);
+    return getFormatter(Intl.DateTimeFormat, this.locale, options).format(date);
+  }
+
+  /**
+   * Formats a relative time, e.g. "in 3 days" or "2 hours ago"
+   * @param {number|Date} value - Amount of units, or a date compared
+   *   with now (the unit is then picked automatically)
+   * @param {string} [unit="second"] - Unit of a numeric value
+   * @param {Object} [options] - Intl.RelativeTimeFormat options
+   *   (defaults to { numeric: "auto" }: "yesterday", "tomorrow")
+   * @returns {string} Formatted relative time
+   */
+  formatRelativeTime(value, unit = "second", options = { numeric: "auto" }) {
+    let amount = value;
+
+    if (value instanceof Date) {
+      const diff = value.getTime() - Date.now();
+      const [name, size] =
+        RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) ||
+        RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+      amount = Math.round(diff / size);
+      unit = name;
+    }
+
+    return getFormatter(Intl.RelativeTimeFormat, this.locale, options).format(
+      amount,
+      unit
+    );
+  }
+}
+
+/**
+ * Turns nested message objects into dotted keys
+ * @private
+ */
+function flattenMessages(messages, prefix = "", result = {}) {
+  for (const key in messages) {
+    const value = messages[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "object" && value !== null) {
+      flattenMessages(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates an i18n instance
+ * @param {Object} [options] - See the I18n constructor
+ * @returns {I18n} I18n instance
+ * @example
+ * const i18n = createI18n({
+ *   locale: "en",
+ *   messages: { en: { greeting: "Hello {name}" } },
+ * });
+ * i18n.addLazyLocale("fr", () => import("./locales/fr.js"));
+ */
+export function createI18n(options) {
+  return new I18n(options);
+}
+
+// Instance used by components without an I18nProvider above
+export const i18n = createI18n();
+
+const I18nContext = createClouds(i18n);
+
+/**
+ * Supplies an i18n instance to its subtree
+ * @param {Object} props - { i18n, children }
+ * @returns {VirtualDOM} Provider with the children
+ * @example
+ * createElement(I18nProvider, { i18n }, createElement(App));
+ */
+export function I18nProvider({ i18n: instance, children }) {
+  return createElement(
+    I18nContext.Provider,
+    { value: instance },
+    normalizeChildrenNode(children)
+  );
+}
+
+/**
+ * Translation hook; the component re-renders when the locale or the
+ * messages of the nearest i18n instance change
+ * @returns {Object} { t, locale, setLocale, formatNumber, formatDate,
+ *   formatRelativeTime, i18n }
+ * @example
+ * const { t, formatDate } = useTranslation();
+ * p(null, t("inbox.count", { count: messages.length }));
+ */
+export function useTranslation() {
+  const instance = useClouds(I18nContext).get();
+  const { locale } = instance;
+  const [, setVersion] = useMinor(0);
+
+  useMajor(() => {
+    const rerender = () => setVersion((version) => version + 1);
+    // The locale may have changed between this render and the effect
+    if (instance.locale !== locale) rerender();
+    return instance.subscribe(rerender);
+  }, [instance]);
+
+  return {
+    i18n: instance,
+    locale,
+    t: (key, params) => instance.t(key, params),
+    setLocale: (locale) => instance.setLocale(locale),
+    formatNumber: (value, options) => instance.formatNumber(value, options),
+    formatDate: (value, options) => instance.formatDate(value, options),
+    formatRelativeTime: (value, unit, options) =>
+      instance.formatRelativeTime(value, unit, options),
+  };
+}
+
+export { formatMessage, parseMessage } from "./format";
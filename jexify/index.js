@@ -9,7 +9,25 @@
  * - Built-in performance monitoring
  */
 
-import { setCurrentComponent } from "./hooks";
+import {
+  PORTAL_NODE,
+  flushCommitQueue,
+  getDomNodes,
+  hydrateRoot,
+  mountNode,
+  createFragmentVNode,
+  normalizeChildrenNode,
+  registerRoot,
+  renderRoot,
+  unmountNode,
+  unmountRoot,
+  updateInstance,
+} from "./core/reconciler";
+import { scheduleUpdate } from "./core/scheduler";
+import { getComponentStack, reportError } from "./core/errors";
+import { listenToEvents } from "./core/events";
+import { Fragment } from "./utils/elements/elements";
+import { isServerRendering } from "./hooks";
 
 /**
  * Virtual DOM Node Implementation
@@ -40,106 +58,15 @@ class VirtualDOM {
   /**
    * Converts virtual DOM to real DOM element
    * @returns {HTMLElement} Rendered DOM node
-   * @throws {Error} If rendering fails
+   * @throws {Error} The original error if a component outside any
+   *   error boundary throws
    */
   render() {
-    try {
-      // Handle component functions/classes
-      if (typeof this.type === "function") {
-        return this._renderComponent();
-      }
-      return this._renderElement();
-    } catch (error) {
-      throw new Error(`VirtualDOM render failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Renders a component (function or class)
-   * @private
-   */
-  _renderComponent() {
-    const result = this.type(this.props);
-    if (result instanceof VirtualDOM) {
-      return result.render();
-    }
-    if (result?.render instanceof Function) {
-      return result.render();
-    }
-    throw new Error("Component must return a VirtualDOM or renderable object");
-  }
-
-  /**
-   * Renders a standard DOM element
-   * @private
-   */
-  _renderElement() {
-    const element = document.createElement(this.type);
-
-    // Apply properties efficiently
-    this._applyProperties(element, this.props);
-
-    // Render children with minimal DOM operations
-    this._renderChildren(element, this.children);
-
-    return element;
-  }
-
-  /**
-   * Applies properties to DOM element
-   * @private
-   */
-  _applyProperties(element, props) {
-    for (const [key, value] of Object.entries(props)) {
-      if (value == null) continue; // Skip null/undefined
-
-      if (key.startsWith("on") && typeof value === "function") {
-        this._addEventListener(element, key, value);
-      } else if (key === "style" && typeof value === "object") {
-        Object.assign(element.style, value);
-      } else if (key === "className") {
-        element.className = value;
-      } else {
-        element.setAttribute(key, value);
-      }
-    }
-  }
-
-  /**
-   * Adds event listener with proper cleanup consideration
-   * @private
-   */
-  _addEventListener(element, eventName, handler) {
-    const eventType = eventName.toLowerCase().slice(2);
-    element.addEventListener(eventType, handler);
-    // Store handler reference for potential cleanup
-    this._eventHandlers = this._eventHandlers || [];
-    this._eventHandlers.push({ element, eventType, handler });
-  }
-
-  /**
-   * Renders child nodes efficiently
-   * @private
-   */
-  _renderChildren(parent, children) {
-    const fragment = document.createDocumentFragment();
-
-    for (const child of children) {
-      if (child == null) continue; // Skip null/undefined
-
-      let node;
-      if (child instanceof VirtualDOM) {
-        node = child.render();
-      } else if (child?.render instanceof Function) {
-        node = child.render();
-      } else {
-        node = document.createTextNode(String(child));
-      }
-
-      if (node) fragment.appendChild(node);
-    }
-
-    parent.appendChild(fragment);
+    const [node] = getDomNodes(mountNode(this));
+    // The node may be inserted anywhere, so it handles its own events
+    if (node) listenToEvents(node);
+    flushCommitQueue();
+    return node;
   }
 }
 
@@ -158,7 +85,8 @@ class Component {
     this.props = props;
     this.state = {};
     this._isMounted = false;
-    this._domNode = null;
+    this._depth = 0;
+    this._vnode = null;
     this._pendingStates = [];
   }
 
@@ -184,12 +112,16 @@ class Component {
     if (this._isMounted) return;
 
     this._isMounted = true;
-    this._domNode = this._safeRender();
+    this._vnode = mountNode(this._renderOutput(), this);
 
     if (container) {
-      container.appendChild(this._domNode);
+      listenToEvents(container);
+      getDomNodes(this._vnode).forEach((node) => container.appendChild(node));
+      // Lets the next mount() into the container unmount this component
+      registerRoot(this, container);
       this.componentDidMount?.();
     }
+    flushCommitQueue();
   }
 
   /**
@@ -199,40 +131,30 @@ class Component {
     if (!this._isMounted) return;
 
     this.componentWillUnmount?.();
-    this._domNode?.remove();
     this._isMounted = false;
-    this._domNode = null;
+    unmountNode(this._vnode);
+    this._vnode = null;
   }
 
   /**
-   * Performs a safe render with error boundaries
+   * Renders and checks the output; errors are left to error boundaries
    * @private
    */
-  _safeRender() {
-    try {
-      const vdom = this.render();
-      if (!(vdom instanceof VirtualDOM)) {
-        throw new Error("render() must return a VirtualDOM instance");
-      }
-      return vdom.render();
-    } catch (error) {
-      console.error("Component render error:", error);
-      return document.createTextNode("Render Error");
+  _renderOutput() {
+    const vdom = this.render();
+    if (!(vdom instanceof VirtualDOM)) {
+      throw new Error("render() must return a VirtualDOM instance");
     }
+    return vdom;
   }
 
   /**
-   * Schedules an update (batches state updates)
+   * Schedules an update (batched with other updates by the scheduler)
    * @private
    */
   _scheduleUpdate() {
-    if (this._updateScheduled || !this._isMounted) return;
-
-    this._updateScheduled = true;
-    requestAnimationFrame(() => {
-      this._performUpdate();
-      this._updateScheduled = false;
-    });
+    if (!this._isMounted) return;
+    scheduleUpdate(this);
   }
 
   /**
@@ -240,9 +162,18 @@ class Component {
    * @private
    */
   _performUpdate() {
-    if (!this._isMounted || !this._domNode) return;
+    if (!this._isMounted || !this._vnode) return;
+
+    // Patch the previous tree in place instead of replacing it
+    updateInstance(this);
+    this.componentDidUpdate?.();
+  }
 
-    // Process all pending state updates
+  /**
+   * Applies queued setState calls before rendering
+   * @private
+   */
+  _mergePendingStates() {
     while (this._pendingStates.length) {
       const update = this._pendingStates.shift();
       this.state =
@@ -250,15 +181,6 @@ class Component {
           ? update(this.state, this.props)
           : { ...this.state, ...update };
     }
-
-    const parent = this._domNode.parentNode;
-    const newDomNode = this._safeRender();
-
-    if (parent && newDomNode) {
-      parent.replaceChild(newDomNode, this._domNode);
-      this._domNode = newDomNode;
-      this.componentDidUpdate?.();
-    }
   }
 
   /**
@@ -270,17 +192,98 @@ class Component {
   }
 }
 
+/**
+ * Error Boundary Component
+ *
+ * Renders a fallback instead of its child when a component below it
+ * throws while rendering, while the rest of the page keeps working.
+ * @example
+ * createElement(
+ *   ErrorBoundary,
+ *   {
+ *     fallback: (error, reset) => button({ onClick: reset }, "Retry"),
+ *     onError: (error, info) => log(error, info.componentStack),
+ *   },
+ *   createElement(Dashboard)
+ * );
+ */
+class ErrorBoundary extends Component {
+  /**
+   * Switches to the fallback after a descendant threw
+   * @param {any} error - Thrown value
+   * @returns {Object} State update
+   */
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  /**
+   * Forwards caught errors to the onError prop
+   * @param {any} error - Thrown value
+   * @param {Object} info - { componentStack, boundary }
+   */
+  componentDidCatch(error, info) {
+    this.props.onError?.(error, info);
+  }
+
+  /**
+   * Clears the error and renders the child again
+   */
+  reset() {
+    this.setState({ hasError: false, error: null });
+  }
+
+  render() {
+    const { hasError, error } = this.state;
+    const { fallback = null, children = [] } = this.props;
+
+    if (hasError) {
+      const output =
+        typeof fallback === "function"
+          ? fallback(error, () => this.reset())
+          : fallback;
+      return normalizeChildrenNode(output);
+    }
+
+    return normalizeChildrenNode(children);
+  }
+}
+
 /**
  * Creates a Virtual DOM element
- * @param {string|Function} type - Element type or component
+ * @param {string|Function} type - Element type, component or Fragment
  * @param {Object|null} [props=null] - Element properties
  * @param {...any} children - Child elements
  * @returns {VirtualDOM} Virtual DOM node
  */
 function createElement(type, props = null, ...children) {
+  if (type === Fragment) return createFragmentVNode(children, props ?? {});
   return new VirtualDOM(type, props ?? {}, ...children);
 }
 
+/**
+ * Renders children into a DOM node outside the parent's DOM, e.g. a
+ * modal into document.body. The children still belong to the component
+ * rendering the portal: they get its context, re-render with it and are
+ * removed when it unmounts
+ * @param {any} children - VirtualDOM, builder or array of children
+ * @param {Element} container - Target DOM node
+ * @param {string|number} [key] - Key among the portal's siblings
+ * @returns {VirtualDOM} Portal node
+ * @throws {TypeError} If container is not a DOM node
+ * @example
+ * createPortal(div({ className: "modal" }, "Saved"), document.body);
+ */
+function createPortal(children, container, key) {
+  // Server renders skip portals, so there is nothing to check there
+  if (!isServerRendering() && typeof container?.appendChild !== "function") {
+    throw new TypeError("createPortal container must be a DOM node");
+  }
+
+  const props = key == null ? { container } : { container, key };
+  return new VirtualDOM(PORTAL_NODE, props, children);
+}
+
 /**
  * Mounts a component or element to the DOM
  * @param {Component|VirtualDOM|Function} component - Component to mount
@@ -292,32 +295,77 @@ function mount(component, container) {
     throw new TypeError("Container must be a DOM element");
   }
 
-  // Clear container efficiently
-  container.textContent = "";
-
   try {
     if (component instanceof Component) {
+      unmountRoot(container);
+      container.textContent = "";
       component.mount(container);
     } else if (typeof component === "function") {
-      setCurrentComponent(component);
-      const element = component();
-      if (element) {
-        container.appendChild(
-          element instanceof VirtualDOM ? element.render() : element
-        );
-      }
+      // Re-mounting the same component patches the previous tree
+      renderRoot(createElement(component), container);
+    } else if (component instanceof VirtualDOM) {
+      renderRoot(component, container);
     } else if (component?.render instanceof Function) {
+      unmountRoot(container);
+      container.textContent = "";
       container.appendChild(component.render());
     } else {
       throw new Error("Invalid component type");
     }
   } catch (error) {
-    console.error("Mount error:", error);
-    container.textContent = "Render Error";
+    // No error boundary caught it: leave the container empty
+    container.textContent = "";
+    reportError(error, {
+      componentStack: getComponentStack(error),
+      boundary: null,
+    });
+  }
+}
+
+/**
+ * Hydrates server-rendered markup: adopts the existing DOM nodes in the
+ * container, attaches listeners and hook state, and warns about
+ * mismatches in development
+ * @param {VirtualDOM|Function} component - Component or tree that rendered the markup
+ * @param {HTMLElement} container - Container holding the server markup
+ * @throws {TypeError} For invalid arguments
+ */
+function hydrate(component, container) {
+  if (!container || !(container instanceof HTMLElement)) {
+    throw new TypeError("Container must be a DOM element");
+  }
+
+  const vnode =
+    typeof component === "function" ? createElement(component) : component;
+  if (!(vnode instanceof VirtualDOM)) {
+    throw new TypeError("hydrate() expects a function component or VirtualDOM");
+  }
+
+  try {
+    hydrateRoot(vnode, container);
+  } catch (error) {
+    // Markup that cannot be adopted is rendered from scratch instead
+    console.error("Hydration error:", error);
+    mount(component, container);
   }
 }
 
-export { createElement, Component, mount };
+export {
+  createElement,
+  createPortal,
+  Component,
+  ErrorBoundary,
+  VirtualDOM,
+  hydrate,
+  mount,
+};
+export { setErrorReporter } from "./core/errors";
+export {
+  Priority,
+  flushSync,
+  runWithPriority,
+  startTransition,
+} from "./core/scheduler";
 export * from "./utils/elements/builder";
 export * from "./utils/elements/elements";
 export * from "./hooks";
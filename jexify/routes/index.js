@@ -1,69 +1,192 @@
-import { router } from "./router";
+import { useRouter } from "./router";
 import { useMajor, useMinor } from "../hooks";
+import { createElement } from "..";
 
 /**
  * Hook for programmatic navigation
- * @returns {Function} Navigate function that accepts a path
+ * @returns {Function} Navigate function that accepts a path and
+ *   options ({ replace })
  * @example
  * const navigate = useNavigate();
  * navigate('/profile');
  */
 export function useNavigate() {
+  const activeRouter = useRouter();
   // Return a function that delegates to router.navigate
-  return (path) => router.navigate(path);
+  return (path, options) => activeRouter.navigate(path, options);
 }
 
 /**
- * Hook to access current route information
- * @returns {Object} Contains path, segments, and params
+ * Hook to access current route information; the component re-renders
+ * on every route change
+ * @returns {Object} Contains path, pattern, params, query, hash and
+ *   segments
  * @property {string} path - Current route path
+ * @property {string} pattern - Route pattern that matched (e.g., '/users/:id')
+ * @property {Object} params - Route parameters, decoded
+ * @property {Object} query - Query string values (arrays for repeated keys)
+ * @property {string} search - Raw query string (e.g., '?page=2')
+ * @property {string} hash - URL hash (e.g., '#comments')
+ * @property {Object} meta - Meta of the matched routes
  * @property {Array<string>} segments - Route path segments
- * @property {Object} params - Route parameters
+ * @example
+ * // Route '/users/:id(\\d+)/:tab?', URL '/users/7?sort=name#top'
+ * const { params, query, hash } = useRoute();
+ * // params: { id: "7" }, query: { sort: "name" }, hash: "#top"
  */
 export function useRoute() {
-  // Use state to track current route
-  const [route, setRoute] = useMinor(
-    router.currentRoute || window.location.pathname
+  const activeRouter = useRouter();
+
+  // Re-render when the route changes
+  const [, setVersion] = useMinor(0);
+
+  // Subscribe to route changes (navigation and browser history)
+  useMajor(
+    () => activeRouter.subscribe(() => setVersion((version) => version + 1)),
+    [activeRouter]
   );
 
-  // Subscribe to route changes
-  useMajor(() => {
-    const handleRouteChange = () => {
-      setRoute(router.currentRoute || window.location.pathname);
-    };
+  const location = activeRouter.getLocation();
+  return {
+    ...location,
+    segments: location.path.split("/").filter(Boolean),
+  };
+}
 
-    // Listen to browser history changes
-    window.addEventListener("popstate", handleRouteChange);
+/**
+ * Converts the values accepted by setSearchParams to URLSearchParams
+ * @private
+ */
+function toSearchParams(value) {
+  if (value instanceof URLSearchParams) return value;
+  if (typeof value === "string") return new URLSearchParams(value);
 
-    // Cleanup listener on unmount
-    return () => window.removeEventListener("popstate", handleRouteChange);
-  }, []);
+  const params = new URLSearchParams();
+  for (const key in value) {
+    // Arrays repeat the key; null and undefined remove it
+    for (const item of [].concat(value[key] ?? [])) {
+      params.append(key, String(item));
+    }
+  }
+  return params;
+}
 
-  return {
-    path: route,
-    segments: route.split("/").filter(Boolean),
-    params: {}, // Would be enhanced with actual param detection
+/**
+ * Hook to read and update the query string of the current URL
+ * @returns {Array} [searchParams, setSearchParams] - searchParams is a
+ *   URLSearchParams; setSearchParams(next, { replace }) takes an object,
+ *   a string, a URLSearchParams or a function of the current params
+ * @example
+ * const [searchParams, setSearchParams] = useSearchParams();
+ * const page = Number(searchParams.get("page") || 1);
+ * setSearchParams({ page: page + 1, tags: ["a", "b"] });
+ * setSearchParams((params) => (params.delete("page"), params), {
+ *   replace: true,
+ * });
+ */
+export function useSearchParams() {
+  const activeRouter = useRouter();
+  const { search } = useRoute();
+
+  const setSearchParams = (next, options) => {
+    // Build on the latest navigation, which may still be running, so
+    // several updates in a row add up
+    const { pathname, search: current } = new URL(
+      activeRouter.pendingUrl || window.location.href,
+      window.location.href
+    );
+    const value =
+      typeof next === "function" ? next(new URLSearchParams(current)) : next;
+    const query = toSearchParams(value).toString();
+    activeRouter.navigate(query ? `${pathname}?${query}` : pathname, options);
   };
+
+  return [new URLSearchParams(search), setSearchParams];
 }
 
 /**
- * Authentication guard for protected routes
+ * Hook returning a function that submits data to a route action
+ * @returns {Function} (data, { method, action }) => Promise resolving
+ *   to the action result; action is the path of the route (defaults to
+ *   the current one)
+ * @example
+ * const submit = useSubmit();
+ * button({ onClick: () => submit({ done: true }, { method: "put" }) }, "Done");
+ */
+export function useSubmit() {
+  const activeRouter = useRouter();
+
+  return (data, options = {}) => {
+    const { path, search } = activeRouter.getLocation();
+    return activeRouter.submit(options.action || path + search, data, options);
+  };
+}
+
+/**
+ * Form submitting its fields to a route action (or, with method "get",
+ * navigating with them as query string) instead of reloading the page
+ * @param {Object} props - Form props: method (default "post"), action
+ *   (route path, defaults to the current one), onSubmit and any form
+ *   attribute
+ * @returns {VirtualDOM} Form element
+ * @example
+ * createElement(Form, { method: "post" },
+ *   input({ name: "title" }),
+ *   button({ type: "submit" }, "Create")
+ * );
+ */
+export function Form({
+  method = "post",
+  action,
+  onSubmit,
+  children = [],
+  ...props
+}) {
+  const submit = useSubmit();
+
+  const handleSubmit = (event) => {
+    onSubmit?.(event);
+    if (event.defaultPrevented) return;
+    event.preventDefault();
+    submit(new FormData(event.target), { method, action });
+  };
+
+  return createElement(
+    "form",
+    { ...props, method, action, onSubmit: handleSubmit },
+    ...children
+  );
+}
+
+/**
+ * Default authentication check: a credential stored in localStorage
+ * @private
+ */
+function hasStoredCredential() {
+  try {
+    const userCredential = localStorage.getItem("userCredential");
+    return !!userCredential && userCredential !== "null";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Authentication guard for protected routes. Redirects once the
+ * component rendered; prefer a router.beforeEach guard checking
+ * to.meta, which runs before the route renders
  * @param {string} redirectOnSuccess - Path to redirect if authenticated
  * @param {string} redirectOnFail - Path to redirect if not authenticated
+ * @param {Function} [isAuthenticated] - Authentication check (defaults
+ *   to a "userCredential" entry in localStorage)
  * @returns {boolean} Current authentication status
  * @throws {Error} If redirect paths are invalid
  */
-export function useAuthGuard(redirectOnSuccess, redirectOnFail) {
-  // Check authentication status
-  const isAuthenticated = () => {
-    try {
-      const userCredential = localStorage.getItem("userCredential");
-      return !!userCredential && userCredential !== "null";
-    } catch (error) {
-      return false;
-    }
-  };
-
+export function useAuthGuard(
+  redirectOnSuccess,
+  redirectOnFail,
+  isAuthenticated = hasStoredCredential
+) {
   // Validate redirect paths
   if (typeof redirectOnSuccess !== "string" || !redirectOnSuccess) {
     throw new Error("redirectOnSuccess must be a non-empty string");
@@ -73,14 +196,15 @@ export function useAuthGuard(redirectOnSuccess, redirectOnFail) {
     throw new Error("redirectOnFail must be a non-empty string");
   }
 
-  // Handle redirection based on auth status
-  if (isAuthenticated()) {
-    router.navigate(redirectOnSuccess);
-    return true;
-  }
+  const activeRouter = useRouter();
+  const authenticated = Boolean(isAuthenticated());
+
+  // Handle redirection based on auth status, outside of rendering
+  useMajor(() => {
+    activeRouter.navigate(authenticated ? redirectOnSuccess : redirectOnFail);
+  }, [authenticated]);
 
-  router.navigate(redirectOnFail);
-  return false;
+  return authenticated;
 }
 
 export * from "./router";
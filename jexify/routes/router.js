@@ -3,36 +3,342 @@
  * 
  * Features include:
  * - Basic routing
- * - Nested routes
+ * - Declarative route tables (createRouter) with ranked matching
+ * - Nested routes with persistent layouts (Outlet)
+ * - Index & catch-all child routes
  * - Route prefetching
  * - Lazy loading
- * - Dynamic route parameters
+ * - Dynamic route parameters (optional, splats, regex constraints)
+ * - Query string & hash tracking
+ * - Navigation guards (beforeEach, beforeEnter, afterEach)
+ * - Data loaders & actions (useLoaderData, useActionData)
  * - Error handling
  */
 
-import { mount, useMajor, useMinor } from "..";
+import {
+  createClouds,
+  createElement,
+  mount,
+  useClouds,
+  useMajor,
+  useMinor,
+  useServerData,
+} from "..";
+import { normalizeChildrenNode } from "../core/reconciler";
+
+// Each matched route level: { outlet, data, actionData } - outlet is
+// the element its Outlet renders (the matched child route), data the
+// result of its loader and actionData the result of its last action
+const RouteContext = createClouds({});
+
+/**
+ * Renders the child route matched below the current layout route, or
+ * nothing when the layout itself is the last match
+ * @returns {VirtualDOM} Matched child route (an empty fragment without one)
+ * @example
+ * const Dashboard = () => div(null, createElement(Sidebar), createElement(Outlet));
+ */
+export function Outlet() {
+  return normalizeChildrenNode(useClouds(RouteContext).get().outlet);
+}
+
+/**
+ * Hook returning the data loaded by the loader of the current route
+ * @returns {any} Value returned by the route's loader
+ * @example
+ * // { path: "/users/:id", component: User,
+ * //   loader: ({ params, signal }) => fetchUser(params.id, { signal }) }
+ * function User() {
+ *   const user = useLoaderData();
+ *   return h1(null, user.name);
+ * }
+ */
+export function useLoaderData() {
+  return useClouds(RouteContext).get().data;
+}
+
+/**
+ * Hook returning the result of the last action of the current route,
+ * until the next navigation (e.g. validation errors)
+ * @returns {any} Value returned by the route's action, or undefined
+ */
+export function useActionData() {
+  return useClouds(RouteContext).get().actionData;
+}
+
+/**
+ * Creates the Request passed to loaders and actions
+ * @private
+ */
+function createRequest(path, init) {
+  const origin =
+    typeof window !== "undefined" ? window.location.origin : "http://localhost";
+  return new Request(new URL(path, origin), init);
+}
+
+/**
+ * Converts submitted data into a request body: plain objects are sent
+ * as JSON
+ * @private
+ */
+function toRequestInit(data) {
+  if (
+    data == null ||
+    typeof data === "string" ||
+    data instanceof FormData ||
+    data instanceof URLSearchParams
+  ) {
+    return { body: data };
+  }
+  return {
+    body: JSON.stringify(data),
+    headers: { "Content-Type": "application/json" },
+  };
+}
+
+/**
+ * Trims the slashes around a child route segment
+ * @private
+ */
+const trimSlashes = (path) => path.replace(/^\/+|\/+$/g, "");
+
+/**
+ * Joins a parent route path and a child segment ('' keeps the parent)
+ * @private
+ */
+const joinPaths = (parent, child) =>
+  child ? `${parent.replace(/\/$/, "")}/${child}` : parent;
+
+// Dynamic segment: ':name', optionally constrained ':name(\\d+)' and/or
+// optional ':name?'
+const PARAM_SEGMENT = /^:(\w+)(?:\((.+)\))?(\?)?$/;
+
+/**
+ * Counts the capture groups of a RegExp source
+ * @private
+ */
+const countGroups = (source) => new RegExp(`${source}|`).exec("").length - 1;
+
+/**
+ * Converts a route path into a RegExp matching it as a path prefix
+ * (e.g. '/user/:id' => /^\/user\/([^/]+)(?=\/|$)/)
+ * @private
+ */
+function compilePath(path) {
+  // One name per capture group; groups of constraints are unnamed
+  const paramNames = [];
+  const source = path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment.startsWith("*")) {
+        // Splat: the rest of the path, as params.rest for '*rest' and
+        // params["*"] for a bare catch-all
+        paramNames.push(segment.substring(1) || "*");
+        return "(?:/(.*))?";
+      }
+
+      const param = segment.match(PARAM_SEGMENT);
+      if (param) {
+        const [, name, constraint = "[^/]+", optional] = param;
+        paramNames.push(name, ...Array(countGroups(constraint)).fill(null));
+        const group = `/(${constraint})`; // Capture group for actual value
+        return optional ? `(?:${group})?` : group;
+      }
+
+      return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+    })
+    .join("");
+
+  return { regex: new RegExp(`^${source}(?=/|$)`), paramNames };
+}
+
+// Segment ranks, most specific first; END ranks a path that has no
+// segment left where another one still has
+const RANKS = {
+  STATIC: 5,
+  CONSTRAINED: 4,
+  PARAM: 3,
+  END: 2,
+  OPTIONAL: 1,
+  SPLAT: 0,
+};
+
+/**
+ * Ranks every segment of a route path
+ * @private
+ */
+function rankPath(path) {
+  return path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment.startsWith("*")) return RANKS.SPLAT;
+      const param = segment.match(PARAM_SEGMENT);
+      if (!param) return RANKS.STATIC;
+      if (param[3]) return RANKS.OPTIONAL;
+      return param[2] ? RANKS.CONSTRAINED : RANKS.PARAM;
+    });
+}
+
+/**
+ * Orders sibling routes by specificity: static segments before dynamic
+ * ones before splats, compared segment by segment; ties keep their
+ * registration order
+ * @private
+ */
+function rankRoutes(routes) {
+  return [...routes].sort((a, b) => {
+    const length = Math.max(a.rank.length, b.rank.length);
+    for (let index = 0; index < length; index++) {
+      const difference =
+        (b.rank[index] ?? RANKS.END) - (a.rank[index] ?? RANKS.END);
+      if (difference) return difference;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Reduces a route path to its shape: paths matching the same URLs
+ * (e.g. '/users/:id' and '/users/:userId') share a signature
+ * @private
+ */
+function getSignature(path) {
+  return path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment.startsWith("*")) return "*";
+      const param = segment.match(PARAM_SEGMENT);
+      return param ? `:(${param[2] || ""})${param[3] || ""}` : segment;
+    })
+    .join("/");
+}
+
+/**
+ * Creates a route record; its path is compiled and ranked once, when
+ * the route is registered
+ * @private
+ */
+function createRoute(fields) {
+  return {
+    ...fields,
+    matcher: compilePath(fields.path),
+    rank: rankPath(fields.path),
+  };
+}
+
+/**
+ * Decodes a URL parameter, keeping malformed ones as they are
+ * @private
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Splits a URL into its path, query string and hash
+ * @private
+ */
+function parseUrl(url) {
+  const { pathname, search, hash } = new URL(url, "http://localhost");
+  return { path: pathname, search, hash };
+}
+
+/**
+ * Parses a query string; repeated keys become arrays
+ * @private
+ */
+function parseQuery(search) {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(search)) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+  return query;
+}
+
+/**
+ * Creates the location exposed by useRoute
+ * @private
+ */
+function createLocation({ path, search, hash }, { params, pattern, matches }) {
+  // Meta of nested routes extends that of their parents
+  const meta = Object.assign({}, ...matches.map(({ route }) => route.meta));
+  return {
+    path,
+    pattern,
+    params,
+    query: parseQuery(search),
+    search,
+    hash,
+    meta,
+  };
+}
+
+// Redirects followed by one navigation before it is considered a loop
+const MAX_REDIRECTS = 10;
 
 class Router {
   constructor() {
     // Store for lazy-loaded components to avoid reloading
     this.lazyComponents = new Map();
 
-    // Map to store all registered routes and their configurations
+    // Map to store all top-level routes and their configurations;
+    // nested routes live in the children of their parent route
     this.routes = new Map();
 
+    // Top-level routes ordered by specificity, rebuilt after changes
+    this.rankedRoutes = null;
+
     // Track current active route
     this.currentRoute = null;
 
+    // Current location: { path, pattern, params, query, search, hash, meta }
+    this.location = null;
+
+    // Functions called after every route change
+    this.listeners = new Set();
+
+    // Global navigation guards and hooks (see beforeEach and afterEach)
+    this.beforeGuards = new Set();
+    this.afterHooks = new Set();
+
+    // Routes rendered for the current location
+    this.currentMatches = [];
+
+    // Incremented by every navigation; a navigation whose id is no
+    // longer the latest was superseded and stops
+    this.navigationId = 0;
+
+    // URL of the latest navigation until it completes, fails or is
+    // cancelled (the browser URL changes once guards allowed it)
+    this.pendingUrl = null;
+
+    // Aborts the loaders of the running navigation
+    this.loadController = null;
+
+    // Result of the last action: { route, data }
+    this.actionData = null;
+
     // Global error handler function
     this.errorHandler = null;
 
     // DOM element where components will be mounted
     this.root = null;
 
-    // Handle browser back/forward button navigation
-    window.addEventListener("popstate", () => {
-      this.handleRoute(window.location.pathname);
-    });
+    // Handle browser back/forward button navigation (routes are also
+    // resolved on the server, where there is no window)
+    if (typeof window !== "undefined") {
+      window.addEventListener("popstate", () => {
+        // Only the started router renders the new URL
+        if (this.root) this.handleRoute(this.getBrowserUrl());
+      });
+    }
   }
 
   /**
@@ -61,28 +367,182 @@ class Router {
       throw new Error("Component is required for route");
     }
     // Store as static route (immediately available)
-    this.routes.set(path, { type: "static", component });
+    this.setRoute(createRoute({ type: "static", component, path }));
+  }
+
+  /**
+   * Stores a top-level route, replacing one with the same path
+   * @private
+   */
+  setRoute(route) {
+    this.routes.set(route.path, route);
+    this.rankedRoutes = null;
+  }
+
+  /**
+   * Register a table of routes and their children
+   * @param {Array<Object>} routes - Route definitions:
+   *   - path: URL path ('/users/:id'), relative for children ('settings');
+   *     '' or index: true for an index child
+   *   - component: Component render function; a route with children but
+   *     no component renders its Outlet
+   *   - lazy: Function returning a Promise resolving to the component,
+   *     instead of component
+   *   - children: Nested routes, rendered by the parent's Outlet
+   *   - meta: Any data attached to the route, read by guards (to.meta)
+   *   - beforeEnter: Guard, or array of guards, run when the route is
+   *     entered (see beforeEach)
+   *   - loader: ({ params, request, signal }) => data, run (in parallel
+   *     with the other matched routes) before the route renders; read
+   *     with useLoaderData. signal aborts when a newer navigation starts
+   *   - action: ({ params, request, signal }) => result, run by
+   *     router.submit (Form, useSubmit); read with useActionData
+   * @throws {Error} If a route is invalid, or matches the same URLs as
+   *   a sibling (e.g. '/users/:id' and '/users/:userId')
+   * @example
+   * router.addRoutes([
+   *   { path: "/", component: Home },
+   *   {
+   *     path: "/users",
+   *     component: UsersLayout,
+   *     children: [
+   *       { index: true, component: UserList },
+   *       { path: "new", component: NewUser },
+   *       { path: ":id(\\d+)", lazy: () => import("./User.js") },
+   *     ],
+   *   },
+   *   { path: "*", component: NotFound },
+   * ]);
+   */
+  addRoutes(routes) {
+    const existing = [...this.routes.keys()];
+    for (const route of this.buildRoutes(routes, "", existing)) {
+      this.setRoute(route);
+    }
   }
 
   /**
-   * Register a route nested under a parent path
-   * @param {string} parentPath - Parent route path (e.g., '/dashboard')
-   * @param {string} path - Child route segment (e.g., 'settings')
+   * Validates route definitions and creates their records, ranking the
+   * children of each route
+   * @private
+   */
+  buildRoutes(routes, parentPath, siblingPaths = []) {
+    if (!Array.isArray(routes)) {
+      throw new Error("Routes must be an array of route definitions");
+    }
+
+    // Full path of the route registered for every signature
+    const registered = new Map(
+      siblingPaths.map((path) => [getSignature(path), path])
+    );
+
+    return routes.map((definition) => {
+      const {
+        path = "",
+        index,
+        component,
+        lazy,
+        children,
+        ...fields
+      } = definition || {};
+
+      if (typeof path !== "string" || (!parentPath && !path)) {
+        throw new Error("Route path must be a non-empty string");
+      }
+      if (!component && !lazy && !children) {
+        throw new Error(`Component is required for route: ${path}`);
+      }
+      if (lazy && typeof lazy !== "function") {
+        throw new Error("Lazy must be a function that returns a Promise");
+      }
+
+      const routePath = parentPath ? trimSlashes(index ? "" : path) : path;
+      const fullPath = parentPath ? joinPaths(parentPath, routePath) : path;
+
+      const signature = getSignature(routePath);
+      if (registered.has(signature)) {
+        throw new Error(
+          `Duplicate route: ${fullPath} matches the same URLs as ${registered.get(
+            signature
+          )}`
+        );
+      }
+      registered.set(signature, fullPath);
+
+      const route = createRoute({
+        ...fields,
+        type: lazy ? "lazy" : "static",
+        component: lazy ? undefined : component || Outlet,
+        lazy,
+        path: routePath,
+      });
+      if (children) {
+        route.children = rankRoutes(this.buildRoutes(children, fullPath));
+      }
+      return route;
+    });
+  }
+
+  /**
+   * Register a route nested under a parent route. The parent stays
+   * mounted as a layout and renders the child through an Outlet
+   * @param {string} parentPath - Full path of the parent route (e.g.,
+   *   '/dashboard', or '/dashboard/settings' to nest deeper)
+   * @param {string} path - Child route segment (e.g., 'settings' or
+   *   ':id'), '' for the index route rendered at the parent path, or
+   *   '*' for the catch-all of the parent
    * @param {Function} component - Component render function
-   * @throws {Error} If paths or component are invalid
+   * @throws {Error} If paths or component are invalid, or the parent
+   *   route is not registered
+   * @example
+   * router.addRoute("/dashboard", Dashboard); // renders Outlet()
+   * router.addNestedRoute("/dashboard", "", Overview);
+   * router.addNestedRoute("/dashboard", "settings", Settings);
+   * router.addNestedRoute("/dashboard", "*", DashboardNotFound);
    */
   addNestedRoute(parentPath, path, component) {
     if (typeof parentPath !== "string" || !parentPath) {
       throw new Error("Parent path must be a non-empty string");
     }
-    if (typeof path !== "string" || !path) {
-      throw new Error("Child path must be a non-empty string");
+    if (typeof path !== "string") {
+      throw new Error("Child path must be a string");
     }
     if (!component) {
       throw new Error("Component is required for nested route");
     }
-    // Combine parent and child paths
-    this.routes.set(`${parentPath}/${path}`, { type: "static", component });
+
+    const parent = this.findRoute(parentPath);
+    if (!parent) {
+      throw new Error(`No parent route registered for path: ${parentPath}`);
+    }
+
+    // Registering a segment again replaces its route
+    const child = createRoute({
+      type: "static",
+      component,
+      path: trimSlashes(path),
+    });
+    parent.children = rankRoutes(
+      (parent.children || [])
+        .filter((route) => route.path !== child.path)
+        .concat(child)
+    );
+  }
+
+  /**
+   * Finds a registered route by its full path
+   * @private
+   */
+  findRoute(fullPath, routes = this.routes.values(), prefix = "") {
+    for (const route of routes) {
+      const path = prefix ? joinPaths(prefix, route.path) : route.path;
+      if (path === fullPath) return route;
+      if (route.children) {
+        const found = this.findRoute(fullPath, route.children, path);
+        if (found) return found;
+      }
+    }
+    return undefined;
   }
 
   /**
@@ -103,37 +563,58 @@ class Router {
       throw new Error("preFetch must be a function");
     }
 
-    const [data, setData] = useMinor([]);
-    const [error, setError] = useMinor({});
-    const [load, setLoad] = useMinor(true);
+    // Store route with data-injected & error handling component
+    this.setRoute(
+      createRoute({
+        type: "prefetch",
+        path,
+        component: () => {
+          // Hooks belong to the route component instance, not the router
+          const [data, setData] = useMinor([]);
+          const [error, setError] = useMinor({});
+          const [load, setLoad] = useMinor(true);
 
-    useMajor(async () => {
-      try {
-        // Execute the preFetch function
-        const resp = await preFetch();
+          useMajor(async () => {
+            try {
+              // Execute the preFetch function
+              const resp = await preFetch();
 
-        if (resp.length > 0) {
-          setData(resp);
-          setLoad(false);
-        }
-      } catch (err) {
-        setError({
-          errorMessage: "Failed to load data",
-          errorDetails: err?.message,
-        });
-      }
-    }, []);
+              // Any resolved value is data, not only non-empty arrays
+              setData(resp);
+              setLoad(false);
+            } catch (err) {
+              setError({
+                errorMessage: "Failed to load data",
+                errorDetails: err?.message,
+              });
+              setLoad(false);
+            }
+          }, []);
 
-    // Store route with data-injected & error handling component
-    this.routes.set(path, {
-      type: "prefetch",
-      component: () =>
-        component({
-          data,
-          error,
-          load,
-        }),
-    });
+          // Streaming server renders wait for preFetch before sending the route
+          const serverData = useServerData(preFetch);
+          if (serverData?.error) {
+            return component({
+              data,
+              error: {
+                errorMessage: "Failed to load data",
+                errorDetails: serverData.error?.message,
+              },
+              load: false,
+            });
+          }
+          if (serverData && !serverData.loading) {
+            return component({ data: serverData.data, error, load: false });
+          }
+
+          return component({
+            data,
+            error,
+            load,
+          });
+        },
+      })
+    );
   }
 
   /**
@@ -150,115 +631,507 @@ class Router {
       throw new Error("Loader must be a function that returns a Promise");
     }
     // Mark route as lazy-loaded (will load when first accessed)
-    this.routes.set(path, { type: "lazy", loader });
+    this.setRoute(createRoute({ type: "lazy", lazy: loader, path }));
   }
 
   /**
-   * Programmatically navigate to a route
-   * @param {string} path - Destination path
+   * Programmatically navigate to a route. The browser history is
+   * updated once the navigation guards allowed it
+   * @param {string} path - Destination path, with an optional query
+   *   string and hash (e.g., '/search?q=jexify#results')
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current
+   *   history entry instead of adding one
+   * @returns {Promise<boolean>} Resolves to whether the route was
+   *   rendered (false if cancelled, redirected elsewhere or failed)
    */
-  navigate(path) {
+  navigate(path, options = {}) {
     if (typeof path !== "string" || !path) {
       this.handleError(
         new Error("Navigation path must be a non-empty string"),
         "Navigation error"
       );
-      return;
+      return Promise.resolve(false);
     }
-    // Update browser history
-    window.history.pushState({}, "", path);
     // Handle the route change
-    this.handleRoute(path);
+    return this.handleRoute(path, {
+      history: options.replace ? "replace" : "push",
+    });
+  }
+
+  /**
+   * Register a guard run before every navigation. Guards run in order,
+   * then the beforeEnter guards of the entered routes; each may be async
+   * and returns:
+   *   - nothing or true to continue
+   *   - false to cancel the navigation
+   *   - a path, or { path, replace }, to redirect
+   * @param {Function} guard - (to, from) => result; to and from are
+   *   locations ({ path, pattern, params, query, hash, meta }), from is
+   *   null on the first navigation
+   * @returns {Function} Function removing the guard
+   * @throws {Error} If guard is not a function
+   * @example
+   * router.beforeEach((to) => {
+   *   if (to.meta.auth && !session.user) return `/login?next=${to.path}`;
+   *   if (to.meta.role && !session.user.roles.includes(to.meta.role)) {
+   *     return false;
+   *   }
+   * });
+   *
+   * // Unsaved changes prompt, while the form is mounted
+   * useMajor(() => router.beforeEach(() => !dirty || confirm("Leave?")), [dirty]);
+   */
+  beforeEach(guard) {
+    if (typeof guard !== "function") {
+      throw new Error("Navigation guard must be a function");
+    }
+    this.beforeGuards.add(guard);
+    return () => this.beforeGuards.delete(guard);
+  }
+
+  /**
+   * Register a hook run after every completed navigation, e.g. for
+   * analytics or page titles
+   * @param {Function} hook - (to, from) => void
+   * @returns {Function} Function removing the hook
+   * @throws {Error} If hook is not a function
+   */
+  afterEach(hook) {
+    if (typeof hook !== "function") {
+      throw new Error("Navigation hook must be a function");
+    }
+    this.afterHooks.add(hook);
+    return () => this.afterHooks.delete(hook);
+  }
+
+  /**
+   * Runs the global guards, then those of the entered routes
+   * @private
+   * @returns {Promise<any>} First result that is not a plain "continue"
+   */
+  async runGuards(to, from, matches) {
+    const entered = matches
+      .map(({ route }) => route)
+      .filter((route) => !this.currentMatches.some((m) => m.route === route));
+    const guards = [
+      ...this.beforeGuards,
+      ...entered.flatMap((route) => [].concat(route.beforeEnter || [])),
+    ];
+
+    for (const guard of guards) {
+      const result = await guard(to, from);
+      if (result !== undefined && result !== true) return result;
+    }
+    return true;
+  }
+
+  /**
+   * Finds the routes matched by a path, from the top-level layout down
+   * to the deepest child
+   * @param {string} path - Path to match (a query string and hash are
+   *   ignored)
+   * @returns {Object} { route, params, matches, pattern } - route is the
+   *   deepest match (undefined without a match), params merge every
+   *   level, matches lists { route, params } per level and pattern is
+   *   the full path of the deepest match (e.g., '/users/:id')
+   */
+  matchRoute(path) {
+    const [pathname] = path.split(/[?#]/);
+    this.rankedRoutes ||= rankRoutes(this.routes.values());
+    const matches = this.matchRoutes(this.rankedRoutes, pathname) || [];
+    const params = Object.assign({}, ...matches.map((match) => match.params));
+    const pattern = matches.reduce(
+      (full, { route }) => (full ? joinPaths(full, route.path) : route.path),
+      ""
+    );
+    return { route: matches.at(-1)?.route, params, matches, pattern };
+  }
+
+  /**
+   * Matches a path against ranked sibling routes and their children
+   * @private
+   */
+  matchRoutes(routes, path) {
+    for (const route of routes) {
+      const { regex, paramNames } = route.matcher;
+      const match = path.match(regex);
+      if (!match) continue;
+
+      // Extract parameter values from URL; missing optional params and
+      // empty splats are left out
+      const params = paramNames.reduce((acc, name, index) => {
+        const value = match[index + 1];
+        if (name && value !== undefined) acc[name] = decodeParam(value);
+        return acc;
+      }, {});
+      const rest = path.slice(match[0].length);
+
+      // A parent matches the start of the path and its children the rest
+      if (route.children) {
+        const childMatches = this.matchRoutes(route.children, rest);
+        if (childMatches) return [{ route, params }, ...childMatches];
+      }
+      if (!rest.replace(/\/+$/, "")) return [{ route, params }];
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the component a route renders, loading lazy routes once
+   * @param {Object} route - Route configuration
+   * @returns {Promise<Function>} Route component
+   */
+  async loadComponent(route) {
+    switch (route.type) {
+      case "lazy":
+        // Load component if not already cached
+        if (!this.lazyComponents.has(route)) {
+          const loaded = await route.lazy();
+          this.lazyComponents.set(route, loaded.default || loaded);
+        }
+        return this.lazyComponents.get(route);
+
+      case "prefetch":
+      case "static":
+      default:
+        return route.component;
+    }
+  }
+
+  /**
+   * Resolves a path to the tree its route renders without touching the
+   * DOM, e.g. to stream it from the server
+   * @param {string} path - Path to resolve
+   * @returns {Promise<VirtualDOM|null>} Route tree, or null without a match
+   * @example
+   * const stream = renderToNodeStream(await router.resolve(req.url));
+   */
+  async resolve(path) {
+    const { matches, params } = this.matchRoute(path);
+    if (!matches.length) return null;
+    return this.renderMatches(matches, params, path, new AbortController());
+  }
+
+  /**
+   * Runs the loaders of the matched routes in parallel
+   * @private
+   * @returns {Promise<Array>} Data of every level
+   */
+  runLoaders(matches, params, path, controller) {
+    const request = createRequest(path, { signal: controller.signal });
+    return Promise.all(
+      // Loaders throwing synchronously reject like async ones
+      matches.map(async ({ route }) =>
+        route.loader?.({ params, request, signal: controller.signal })
+      )
+    );
+  }
+
+  /**
+   * Loads the data and components of the matched routes, then builds
+   * their tree: each level is wrapped in a provider whose value holds
+   * its data and the next level, rendered by its Outlet
+   * @private
+   */
+  async renderMatches(matches, params, path, controller) {
+    const [data, ...components] = await Promise.all([
+      this.runLoaders(matches, params, path, controller),
+      ...matches.map(({ route }) => this.loadComponent(route)),
+    ]);
+
+    const tree = components.reduceRight(
+      (outlet, component, index) =>
+        createElement(
+          RouteContext.Provider,
+          {
+            value: {
+              outlet,
+              data: data[index],
+              actionData:
+                this.actionData?.route === matches[index].route
+                  ? this.actionData.data
+                  : undefined,
+            },
+          },
+          createElement(component, params)
+        ),
+      null
+    );
+    return createElement(RouterContext.Provider, { value: this }, tree);
+  }
+
+  /**
+   * Starts loading for a navigation, aborting the loaders of the
+   * previous one
+   * @private
+   */
+  startLoading() {
+    this.loadController?.abort();
+    this.loadController = new AbortController();
+    return this.loadController;
+  }
+
+  /**
+   * Runs the loaders of the current routes again and re-renders them,
+   * e.g. after data changed on the server
+   * @returns {Promise<boolean>} Resolves to whether the routes rendered
+   */
+  async revalidate() {
+    if (!this.location || !this.root) return false;
+
+    const navigationId = ++this.navigationId;
+    const controller = this.startLoading();
+    const { path, search, hash, params } = this.location;
+
+    try {
+      const tree = await this.renderMatches(
+        this.currentMatches,
+        params,
+        path + search + hash,
+        controller
+      );
+      if (navigationId !== this.navigationId) return false;
+      mount(tree, this.root);
+      return true;
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.handleError(error, "Route revalidation failed");
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Submits data to the action of a route, then revalidates the loaders
+   * of the current routes. GET submissions navigate with the data as
+   * query string instead
+   * @param {string} path - Path of the route handling the submission;
+   *   the deepest matched route with an action handles it
+   * @param {FormData|URLSearchParams|Object|string} [data] - Submitted
+   *   data; plain objects are sent as JSON
+   * @param {Object} [options] - Submission options
+   * @param {string} [options.method="post"] - HTTP method
+   * @returns {Promise<any>} Result of the action (undefined on failure)
+   */
+  async submit(path, data, options = {}) {
+    const method = (options.method || "post").toUpperCase();
+    const url = parseUrl(path);
+
+    if (method === "GET") {
+      const query = new URLSearchParams(data || {}).toString();
+      await this.navigate(query ? `${url.path}?${query}` : url.path);
+      return undefined;
+    }
+
+    const { matches, params } = this.matchRoute(url.path);
+    const match = [...matches].reverse().find(({ route }) => route.action);
+    if (!match) {
+      this.handleError(
+        new Error(`No action found for path: ${path}`),
+        "Route action failed"
+      );
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const request = createRequest(path, {
+      method,
+      signal: controller.signal,
+      ...toRequestInit(data),
+    });
+
+    let result;
+    try {
+      result = await match.route.action({
+        params,
+        request,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      this.handleError(error, "Route action failed");
+      return undefined;
+    }
+
+    // Loaders run again so the routes show the data the action changed
+    this.actionData = { route: match.route, data: result };
+    await this.revalidate();
+    return result;
   }
 
   /**
    * Internal method to handle route changes and component rendering
    * @param {string} path - Path to handle
+   * @param {Object} [options] - Handling options
+   * @param {string} [options.history] - "push" or "replace" to update
+   *   the browser history once guards allowed the navigation; omitted
+   *   when the browser URL already is the path (start, back/forward)
+   * @param {number} [options.redirects=0] - Redirects followed so far
+   * @returns {Promise<boolean>} Resolves to whether the route rendered
    */
-  async handleRoute(path) {
+  async handleRoute(path, options = {}) {
     if (!path) {
       this.handleError(
         new Error("Path is required for route handling"),
         "Route handling error"
       );
-      return;
+      return false;
+    }
+
+    const navigationId = ++this.navigationId;
+    this.pendingUrl = path;
+    // Loaders of a superseded navigation are aborted
+    this.loadController?.abort();
+    try {
+      return await this.runNavigation(path, options, navigationId);
+    } finally {
+      if (navigationId === this.navigationId) this.pendingUrl = null;
     }
+  }
 
-    let route = this.routes.get(path);
-    let params = {};
+  /**
+   * Guards, records and renders a navigation
+   * @private
+   */
+  async runNavigation(path, options, navigationId) {
+    const url = parseUrl(path);
+    const match = this.matchRoute(url.path);
+    const { route, params, matches } = match;
 
-    // Check for dynamic routes with parameters if no exact match
     if (!route) {
-      for (const [routePath, routeData] of this.routes) {
-        if (routePath === "*") continue; // Skip wildcard during matching
-
-        const paramNames = [];
-        // Convert route path to regex pattern (e.g., '/user/:id' => '/user/([^/]+)')
-        const regexPattern = routePath.replace(/:\w+/g, (match) => {
-          paramNames.push(match.substring(1)); // Extract parameter name
-          return "([^/]+)"; // Capture group for actual value
-        });
-
-        const regex = new RegExp(`^${regexPattern}$`);
-        const match = path.match(regex);
-
-        // Check if path matches and has same segment count
-        if (match && path.split("/").length === routePath.split("/").length) {
-          // Extract parameter values from URL
-          params = paramNames.reduce((acc, name, index) => {
-            acc[name] = match[index + 1];
-            return acc;
-          }, {});
-          route = routeData;
-          break;
-        }
+      this.handleError(
+        new Error(`No route found for path: ${path}`),
+        "Route not found"
+      );
+      return false;
+    }
+
+    const from = this.location;
+    const to = createLocation(url, match);
+
+    let result;
+    try {
+      result = await this.runGuards(to, from, matches);
+    } catch (error) {
+      result = false;
+      this.handleError(error, "Navigation guard failed");
+    }
+    // A newer navigation started while the guards ran
+    if (navigationId !== this.navigationId) return false;
+
+    if (result === false) {
+      // Back/forward already changed the URL: restore the current one
+      if (!options.history && from) {
+        window.history.pushState({}, "", from.path + from.search + from.hash);
       }
+      return false;
     }
 
-    // Fallback to wildcard route if no match found
-    if (!route) {
-      route = this.routes.get("*");
+    if (typeof result === "string" || typeof result?.path === "string") {
+      const redirects = (options.redirects || 0) + 1;
+      if (redirects > MAX_REDIRECTS) {
+        this.handleError(
+          new Error(`Too many redirects navigating to: ${path}`),
+          "Navigation redirect failed"
+        );
+        return false;
+      }
+      // The redirect takes the place of the navigation in the history
+      const history =
+        options.history === "push" && !result.replace ? "push" : "replace";
+      await this.handleRoute(result.path || result, { history, redirects });
+      return false;
     }
 
-    if (route && this.root) {
-      this.currentRoute = path;
-      const prevContent = this.root.innerHTML;
-      this.root.innerHTML = ""; // Clear previous content
+    // Update browser history
+    if (options.history === "replace") {
+      window.history.replaceState({}, "", path);
+    } else if (options.history === "push") {
+      window.history.pushState({}, "", path);
+    }
 
-      try {
-        let componentToRender;
-
-        // Handle different route types
-        switch (route.type) {
-          case "lazy":
-            // Load component if not already cached
-            if (!this.lazyComponents.has(path)) {
-              const loaded = await route.loader();
-              this.lazyComponents.set(path, loaded.default || loaded);
-            }
-            componentToRender = this.lazyComponents.get(path);
-            break;
-
-          case "prefetch":
-          case "static":
-          default:
-            componentToRender = route.component;
-            break;
-        }
+    if (!this.root) return false;
+
+    // Action results only last until the next navigation
+    this.actionData = null;
+
+    const controller = this.startLoading();
+    try {
+      const tree = await this.renderMatches(matches, params, path, controller);
+      if (navigationId !== this.navigationId) return false;
+
+      // Routes read the new location (useRoute) while they render
+      this.currentRoute = url.path;
+      this.currentMatches = matches;
+      this.location = to;
 
-        // Mount the component with any route parameters
-        mount(componentToRender(params), this.root);
+      // Mount the routes with any route parameters; mount unmounts
+      // routes that are no longer matched (running their effect
+      // cleanups), while layouts and components matched again keep
+      // their instances across sibling and param changes
+      mount(tree, this.root);
+      this.notify();
+    } catch (error) {
+      // Aborted loaders belong to a superseded navigation
+      if (controller.signal.aborted) return false;
+      // The previous route stays mounted if loading fails
+      this.handleError(error, "Component mounting failed");
+      return false;
+    }
+
+    this.afterHooks.forEach((hook) => {
+      try {
+        hook(to, from);
       } catch (error) {
-        // Restore previous content if mounting fails
-        this.handleError(error, "Component mounting failed");
-        this.root.innerHTML = prevContent;
+        this.handleError(error, "Navigation hook failed");
       }
-    } else if (!route) {
-      this.handleError(
-        new Error(`No route found for path: ${path}`),
-        "Route not found"
-      );
+    });
+    return true;
+  }
+
+  /**
+   * Returns the current location and the route it matched
+   * @returns {Object} { path, pattern, params, query, search, hash, meta }
+   */
+  getLocation() {
+    if (this.location) return this.location;
+
+    // Not routed yet: read the browser URL
+    const url = parseUrl(this.getBrowserUrl());
+    return createLocation(url, this.matchRoute(url.path));
+  }
+
+  /**
+   * Returns the browser URL without its origin
+   * @private
+   */
+  getBrowserUrl() {
+    const { pathname, search, hash } = window.location;
+    return pathname + search + hash;
+  }
+
+  /**
+   * Subscribe to route changes
+   * @param {Function} listener - Called with the new location after
+   *   every route change
+   * @returns {Function} Unsubscribe function
+   * @throws {Error} If listener is not a function
+   */
+  subscribe(listener) {
+    if (typeof listener !== "function") {
+      throw new Error("Listener must be a function");
     }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Calls every route change listener
+   * @private
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this.location));
   }
 
   /**
@@ -290,7 +1163,7 @@ class Router {
         throw new Error(`Root element with ID '${rootId}' not found`);
       }
       // Handle initial route based on current URL
-      this.handleRoute(window.location.pathname);
+      this.handleRoute(this.getBrowserUrl());
     } catch (error) {
       this.handleError(error, "Router initialization failed");
     }
@@ -299,3 +1172,35 @@ class Router {
 
 // Export singleton router instance
 export const router = new Router();
+
+// Router used by the route hooks: the one rendering the route, or the
+// singleton outside of routes
+const RouterContext = createClouds(router);
+
+/**
+ * Creates a router from a table of routes
+ * @param {Array<Object>} routes - Route definitions (see addRoutes)
+ * @returns {Router} Router, started with router.start(rootId)
+ * @throws {Error} If a route is invalid or duplicated
+ * @example
+ * const appRouter = createRouter([
+ *   { path: "/", component: Home },
+ *   { path: "/users/new", component: NewUser },
+ *   { path: "/users/:id", component: User, meta: { auth: true } },
+ *   { path: "*", component: NotFound },
+ * ]);
+ * appRouter.start("root");
+ */
+export function createRouter(routes) {
+  const instance = new Router();
+  instance.addRoutes(routes);
+  return instance;
+}
+
+/**
+ * Hook returning the router rendering the current component
+ * @returns {Router} Router of the route, or the singleton router
+ */
+export function useRouter() {
+  return useClouds(RouterContext).get();
+}
@@ -0,0 +1,50 @@
+/**
+ * Jexify Server Renderer
+ *
+ * Renders VirtualDOM trees to HTML outside the browser:
+ * - renderToString for markup the client can hydrate
+ * - renderToStaticMarkup for plain static HTML
+ * - Streaming renders that send data-driven sections as they resolve
+ * - Escaped text and attribute values
+ * - Hooks run in server mode (effects are skipped)
+ */
+
+import { ServerRenderer, renderPass, toRootNode } from "./renderer";
+import { resetServerIds } from "../hooks";
+
+/**
+ * Renders a tree to HTML with hooks in server mode
+ * @private
+ */
+function renderToHtml(component, hydratable) {
+  const vnode = toRootNode(component);
+  if (!vnode) return "";
+
+  resetServerIds();
+  return renderPass(new ServerRenderer(hydratable), (renderer) =>
+    renderer.renderNode(vnode, null)
+  );
+}
+/**
+ * Renders a component or VirtualDOM tree to HTML that hydrate() can adopt
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @returns {string} HTML markup
+ * @example
+ * const html = renderToString(App);
+ */
+export function renderToString(component) {
+  return renderToHtml(component, true);
+}
+
+/**
+ * Renders a component or VirtualDOM tree to plain HTML without any
+ * hydration markers (emails, static pages)
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @returns {string} HTML markup
+ */
+export function renderToStaticMarkup(component) {
+  return renderToHtml(component, false);
+}
+
+export { escapeHtml } from "./renderer";
+export { renderToReadableStream } from "./stream";
@@ -0,0 +1,25 @@
+/**
+ * Jexify Server Renderer for Node
+ *
+ * Kept apart from the rest of the server renderer, which has no Node
+ * dependency and also runs in fetch handlers and edge runtimes:
+ * - renderToNodeStream for Node HTTP responses
+ */
+
+import { Readable } from "stream";
+import { renderChunks } from "./stream";
+
+/**
+ * Streams a tree as a Node Readable of HTML strings
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @param {Object} [options] - Stream options
+ * @param {Function} [options.onError] - Called with render errors
+ * @returns {Readable} HTML stream
+ * @example
+ * import { renderToNodeStream } from "jexify/server/node";
+ *
+ * renderToNodeStream(await router.resolve(req.url)).pipe(res);
+ */
+export function renderToNodeStream(component, options = {}) {
+  return Readable.from(renderChunks(component, options));
+}
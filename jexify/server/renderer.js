@@ -0,0 +1,255 @@
+/**
+ * Jexify HTML Renderer
+ *
+ * Shared by the string and streaming server renderers: walks a
+ * VirtualDOM tree with hooks in server mode and collects its HTML.
+ */
+
+import { createElement } from "..";
+import { isServerRendering, setServerRendering } from "../hooks";
+import {
+  FRAGMENT_NODE,
+  PORTAL_NODE,
+  TEXT_NODE,
+  callRender,
+  createInstance,
+  normalizeChild,
+  normalizeChildren,
+} from "../core/reconciler";
+import {
+  RESERVED_PROPS,
+  VOID_ELEMENTS,
+  getAttributeName,
+  isBooleanAttribute,
+  styleToString,
+} from "../core/properties";
+import { isEventProp } from "../core/events";
+import {
+  catchError,
+  isErrorBoundary,
+  recordComponentStack,
+  reportError,
+} from "../core/errors";
+
+// Characters that must be escaped in text and attribute values
+const ESCAPE_MAP = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Separates adjacent text nodes so hydration can split them again
+const TEXT_SEPARATOR = "<!-- -->";
+
+/**
+ * Escapes a value for use in HTML text or attributes
+ * @param {any} value - Raw value
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPE_MAP[char]);
+}
+
+/**
+ * Serializes element props into an attribute string
+ * @private
+ */
+function renderAttributes(props) {
+  let html = "";
+
+  for (const key in props) {
+    const value = props[key];
+    // Event handlers and other functions only exist on the client
+    if (value == null || typeof value === "function") continue;
+    if (isEventProp(key, value)) continue;
+    if (RESERVED_PROPS.has(key)) continue;
+
+    const name = getAttributeName(key);
+
+    if (key === "style" && typeof value === "object") {
+      const css = styleToString(value);
+      if (css) html += ` style="${escapeHtml(css)}"`;
+    } else if (isBooleanAttribute(key)) {
+      if (value) html += ` ${name}`;
+    } else {
+      html += ` ${name}="${escapeHtml(value)}"`;
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Returns an option's value: its value prop, or else its text
+ * @private
+ */
+function getOptionValue(vnode) {
+  if (vnode.props.value != null) return String(vnode.props.value);
+  return normalizeChildren(vnode.children)
+    .filter((child) => child.type === TEXT_NODE)
+    .map((child) => child.props.nodeValue)
+    .join("");
+}
+
+/**
+ * Walks a VirtualDOM tree and collects its HTML
+ */
+export class ServerRenderer {
+  /**
+   * @param {boolean} hydratable - Whether to emit hydration markers
+   */
+  constructor(hydratable) {
+    this.hydratable = hydratable;
+    this.chunks = [];
+    this.lastWasText = false;
+    // Values of the select being rendered, marking its options selected
+    this.selectValues = null;
+  }
+
+  /**
+   * Renders a node and its subtree
+   * @param {VirtualDOM} vnode - Node to render
+   * @param {Object|null} parent - Owning component instance
+   */
+  renderNode(vnode, parent) {
+    if (vnode.type === TEXT_NODE) {
+      this.renderText(vnode.props.nodeValue);
+    } else if (typeof vnode.type === "function") {
+      this.renderComponent(vnode, parent);
+    } else if (vnode.type === PORTAL_NODE) {
+      // Portal targets only exist in the browser, which mounts them
+      return;
+    } else if (vnode.type === FRAGMENT_NODE) {
+      for (const child of normalizeChildren(vnode.children)) {
+        this.renderNode(child, parent);
+      }
+    } else {
+      this.renderElement(vnode, parent);
+    }
+  }
+
+  /**
+   * Renders a comment, used as a marker by the streaming renderer
+   * @param {string} text - Comment text
+   */
+  renderComment(text) {
+    this.chunks.push(`<!--${text}-->`);
+    this.lastWasText = false;
+  }
+
+  /**
+   * Renders escaped text
+   * @private
+   */
+  renderText(text) {
+    if (text === "") return;
+    if (this.hydratable && this.lastWasText) this.chunks.push(TEXT_SEPARATOR);
+    this.chunks.push(escapeHtml(text));
+    this.lastWasText = true;
+  }
+
+  /**
+   * Renders a function or class component through a throwaway instance
+   * @private
+   */
+  renderComponent(vnode, parent) {
+    const instance = createInstance(vnode, parent);
+    this.renderOutput(instance, callRender(instance));
+  }
+
+  /**
+   * Renders a component's output; error boundaries swap the HTML of a
+   * failed subtree for their fallback
+   * @param {Object} instance - Component instance
+   * @param {VirtualDOM} output - Rendered tree
+   */
+  renderOutput(instance, output) {
+    if (!isErrorBoundary(instance)) {
+      this.renderNode(output, instance);
+      return;
+    }
+
+    const start = this.chunks.length;
+    const { lastWasText } = this;
+    try {
+      this.renderNode(output, instance);
+    } catch (error) {
+      recordComponentStack(error, instance);
+      this.chunks.length = start;
+      this.lastWasText = lastWasText;
+
+      // componentDidCatch only runs in the browser
+      reportError(error, catchError(instance, error));
+      this.renderNode(callRender(instance), instance);
+    }
+  }
+
+  /**
+   * Renders an element with its attributes and children
+   * @private
+   */
+  renderElement(vnode, parent) {
+    const tag = vnode.type;
+    let { props, children } = vnode;
+    const { selectValues } = this;
+
+    // Textarea and select values are content, not attributes
+    if (tag === "textarea" || tag === "select") {
+      const { value, ...rest } = props;
+      props = rest;
+      if (tag === "textarea" && value != null) children = [String(value)];
+      if (tag === "select") {
+        this.selectValues = value == null ? null : [].concat(value).map(String);
+      }
+    } else if (tag === "option" && selectValues && props.selected == null) {
+      const selected = selectValues.includes(getOptionValue(vnode));
+      props = { ...props, selected };
+    }
+
+    this.lastWasText = false;
+    this.chunks.push(`<${tag}${renderAttributes(props)}>`);
+    if (VOID_ELEMENTS.has(tag)) return;
+
+    try {
+      for (const child of normalizeChildren(children)) {
+        this.renderNode(child, parent);
+      }
+    } finally {
+      this.selectValues = selectValues;
+    }
+
+    this.chunks.push(`</${tag}>`);
+    this.lastWasText = false;
+  }
+}
+
+/**
+ * Normalizes the accepted inputs into a root VirtualDOM node
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @returns {VirtualDOM|null} Root node
+ */
+export function toRootNode(component) {
+  if (typeof component === "function") return createElement(component);
+  return normalizeChild(component);
+}
+
+/**
+ * Runs one synchronous render pass with hooks in server mode
+ * @param {ServerRenderer} renderer - Renderer collecting the HTML
+ * @param {Function} render - Callback rendering into the renderer
+ * @returns {string} HTML of the pass
+ */
+export function renderPass(renderer, render) {
+  const wasServerRendering = isServerRendering();
+  setServerRendering(true);
+
+  try {
+    render(renderer);
+  } finally {
+    setServerRendering(wasServerRendering);
+  }
+
+  return renderer.chunks.join("");
+}
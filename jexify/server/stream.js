@@ -0,0 +1,151 @@
+/**
+ * Jexify Streaming Server Renderer
+ *
+ * Streams HTML while data loads:
+ * - The shell is sent first, with loading states where data is pending
+ * - Components waiting on useAsync or prefetch routes become boundaries
+ * - Each boundary is streamed once its data resolves, with an inline
+ *   script swapping it in place of the loading state
+ * - Web ReadableStream output; the Node Readable one lives in ./node so
+ *   this module loads in runtimes without Node built-ins
+ */
+
+import { ServerRenderer, renderPass, toRootNode } from "./renderer";
+import { callRender, createInstance } from "../core/reconciler";
+import { resetServerIds } from "../hooks";
+
+// Defines $jx(id), which moves a streamed <template> between its markers
+const SWAP_SCRIPT =
+  "function $jx(i){" +
+  'var t=document.getElementById("jx-t-"+i),' +
+  "w=document.createTreeWalker(document,128),s,n,c,p;" +
+  'while((n=w.nextNode()))if(n.data==="jx:"+i){s=n;break}' +
+  "if(!t||!s)return;p=s.parentNode;c=s.nextSibling;" +
+  'while(c&&!(c.nodeType===8&&c.data==="/jx:"+i)){' +
+  "n=c.nextSibling;p.removeChild(c);c=n}" +
+  "p.insertBefore(t.content,s);p.removeChild(s);" +
+  "if(c)p.removeChild(c);t.remove()}";
+
+/**
+ * Renderer that turns components waiting for data into boundaries
+ */
+class StreamRenderer extends ServerRenderer {
+  /**
+   * @param {Object} stream - State shared by every pass of one stream
+   */
+  constructor(stream) {
+    super(true);
+    this.stream = stream;
+  }
+
+  /**
+   * Renders a component, wrapping it in boundary markers when it
+   * registered data it is still waiting for
+   * @param {VirtualDOM} vnode - Component node
+   * @param {Object|null} parent - Owning component instance
+   * @param {Array} [results=[]] - Settled data from earlier passes
+   */
+  renderComponent(vnode, parent, results = []) {
+    const instance = createInstance(vnode, parent);
+    instance._serverData = { index: 0, results, promises: [] };
+    const output = callRender(instance);
+    const { promises } = instance._serverData;
+
+    if (!promises.length) {
+      this.renderOutput(instance, output);
+      return;
+    }
+
+    const id = this.stream.nextId++;
+    this.renderComment(`jx:${id}`);
+    this.renderOutput(instance, output);
+    this.renderComment(`/jx:${id}`);
+
+    // Rendered again once everything it asked for has settled
+    const task = Promise.allSettled(promises).then((settled) => ({
+      task,
+      boundary: { id, vnode, parent, results: results.concat(settled) },
+    }));
+    this.stream.pending.add(task);
+  }
+}
+
+/**
+ * Yields the shell, then every boundary as its data resolves
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @param {Object} options - Stream options ({ onError })
+ * @returns {AsyncGenerator<string>} HTML chunks
+ */
+export async function* renderChunks(component, options) {
+  const vnode = toRootNode(component);
+  if (!vnode) return;
+
+  const stream = { nextId: 0, pending: new Set() };
+  resetServerIds();
+
+  try {
+    yield renderPass(new StreamRenderer(stream), (renderer) =>
+      renderer.renderNode(vnode, null)
+    );
+  } catch (error) {
+    if (options.onError) options.onError(error);
+    throw error;
+  }
+
+  if (stream.pending.size) yield `<script>${SWAP_SCRIPT}</script>`;
+
+  while (stream.pending.size) {
+    const { task, boundary } = await Promise.race(stream.pending);
+    stream.pending.delete(task);
+
+    try {
+      const html = renderPass(new StreamRenderer(stream), (renderer) =>
+        renderer.renderComponent(
+          boundary.vnode,
+          boundary.parent,
+          boundary.results
+        )
+      );
+      yield `<template id="jx-t-${boundary.id}">${html}</template>` +
+        `<script>$jx(${boundary.id})</script>`;
+    } catch (error) {
+      // The loading state stays in place when a section fails to render
+      if (options.onError) options.onError(error);
+    }
+  }
+}
+
+/**
+ * Streams a tree as a web ReadableStream of UTF-8 chunks
+ * (fetch handlers, edge runtimes)
+ * @param {VirtualDOM|Function|Object} component - Tree, component or builder
+ * @param {Object} [options] - Stream options
+ * @param {Function} [options.onError] - Called with render errors
+ * @returns {ReadableStream} HTML stream
+ * @example
+ * return new Response(renderToReadableStream(App), {
+ *   headers: { "Content-Type": "text/html" },
+ * });
+ */
+export function renderToReadableStream(component, options = {}) {
+  const chunks = renderChunks(component, options);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel() {
+      chunks.return();
+    },
+  });
+}
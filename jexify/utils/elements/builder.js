@@ -10,6 +10,7 @@
  */
 
 import { createElement } from "../..";
+import { createFragmentVNode } from "../../core/reconciler";
 
 class ComponentBuilder {
   constructor() {
@@ -260,6 +261,13 @@ class ComponentBuilder {
       .map((item, index) => {
         const element = renderItem(item, index);
 
+        // Builders carry their props on the element they will build
+        if (element instanceof ComponentBuilder) {
+          const last = element.elements[element.elements.length - 1];
+          if (last && last.props.key == null) last.props.key = index;
+          return element;
+        }
+
         // Automatically add key prop if not provided
         if (
           element &&
@@ -279,14 +287,16 @@ class ComponentBuilder {
    * Creates a fragment container that doesn't render itself
    * @param {Object|null} props - Fragment properties (ignored except for key)
    * @param {...any} children - Child elements
-   * @returns {Array} Array of child elements
+   * @returns {VirtualDOM} Fragment node rendering just the children
    */
   fragment(props = null, ...children) {
     // Process children (flatten arrays and handle null/undefined)
     const processedChildren = this._processChildren(children.flat());
 
-    // Return just the children without any wrapper
-    return processedChildren;
+    return createFragmentVNode(
+      processedChildren,
+      props?.key != null ? { key: props.key } : {}
+    );
   }
 }
 
@@ -20,9 +20,10 @@ export function mapList(array, renderItem) {
 }
 
 /**
- * Creates a empty fragment container
- * @param {Object|null} props - Fragment properties (ignored except for key)
+ * Groups children without a wrapper element. Also usable as a type:
+ * createElement(Fragment, { key }, ...children) for keyed fragments
  * @param {...any} children - Child elements
+ * @returns {VirtualDOM} Fragment node
  */
 export function Fragment(...children) {
   return createComponent().fragment(null, ...children);
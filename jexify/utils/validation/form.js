@@ -0,0 +1,291 @@
+/**
+ * Jexify - Form State
+ *
+ * Features:
+ * - Field Registration
+ * - Values, Touched, Dirty & Error Tracking
+ * - Validation on Change, Blur or Submit
+ * - Async & Cross-Field Rules
+ * - Submit Handling & Reset
+ */
+
+import {
+  useEcho,
+  useId,
+  useLayoutMajor,
+  useMajor,
+  useMinor,
+} from "../../hooks";
+import { createFieldValidator } from ".";
+
+// Builds the state of a form that was not interacted with
+const createFormState = (values) => ({
+  values: { ...values },
+  touched: {},
+  errors: {},
+  validating: {},
+  isSubmitting: false,
+  submitCount: 0,
+});
+
+// Reads the value of an input, checkbox or (multiple) select
+const readValue = (target) => {
+  if (target.type === "checkbox") return target.checked;
+  if (target.multiple && target.options) {
+    return Array.from(target.selectedOptions, (option) => option.value);
+  }
+  return target.value;
+};
+
+// Compares values, with arrays (multiple selects) compared by item
+const isSameValue = (a, b) =>
+  Array.isArray(a) && Array.isArray(b)
+    ? a.length === b.length && a.every((item, i) => Object.is(item, b[i]))
+    : Object.is(a, b);
+
+/**
+ * Form state hook. Registered fields are controlled by the form, which
+ * validates them with the same rules as the enhanced input, textarea
+ * and select components
+ * @param {Object} [options] - Form options
+ * @param {Object} [options.initialValues={}] - Values by field name
+ * @param {string} [options.locale] - Locale of the error messages
+ *   (defaults to the one set with setValidationLocale)
+ * @param {Object} [options.schema] - Schema from createSchema, used for
+ *   fields registered without rules of their own (fields it does not
+ *   describe are not validated)
+ * @param {string} [options.validateOn="blur"] - "change", "blur" or
+ *   "submit"; fields showing an error are validated on every change
+ * @return {Object} Form state and helpers (values, errors, touched,
+ *   dirty, validating, register, field, handleSubmit, reset,
+ *   summaryRef...)
+ * @example
+ * const { field, handleSubmit, errorList, summaryRef } = useForm({
+ *   initialValues: { email: "" },
+ * });
+ * form(
+ *   { onSubmit: handleSubmit((values) => save(values)) },
+ *   input(field("email", { required: true })),
+ *   fieldset({ validationErrors: errorList, summaryRef })
+ * );
+ */
+export function useForm(options = {}) {
+  const { initialValues = {}, validateOn = "blur", schema, locale } = options;
+
+  // Latest state, read by handlers created during earlier renders
+  const store = useEcho(null);
+  const defaults = useEcho(initialValues);
+  const rules = useEcho({});
+  if (!store.current) store.current = createFormState(initialValues);
+  const [state, setState] = useMinor(store.current);
+
+  // Field ids let the validation summary link to its fields
+  const formId = useId();
+  const getFieldId = (name) => `${formId}-${name}`;
+
+  // The summary takes focus once a failed submit rendered it
+  const summaryRef = useEcho(null);
+  const focusSummary = useEcho(false);
+  useLayoutMajor(() => {
+    if (!focusSummary.current || !summaryRef.current) return;
+    focusSummary.current = false;
+    summaryRef.current.focus();
+  }, [state]);
+
+  const update = (changes) => {
+    store.current = { ...store.current, ...changes };
+    setState(store.current);
+  };
+
+  const validators = useEcho({});
+  const cancelValidators = () => {
+    for (const name in validators.current) validators.current[name].cancel();
+  };
+  useMajor(() => cancelValidators, []);
+
+  const setFieldResult = (name, { isValid, message }) => {
+    const errors = { ...store.current.errors };
+    const validating = { ...store.current.validating };
+    delete validating[name];
+    if (isValid) {
+      delete errors[name];
+    } else {
+      errors[name] = message;
+    }
+    update({ errors, validating });
+  };
+
+  // Async rules report their result later; a newer run cancels this one
+  const validateField = (name, immediate = false) => {
+    const validator =
+      validators.current[name] ||
+      (validators.current[name] = createFieldValidator());
+
+    return validator.run(store.current.values[name], rules.current[name], {
+      values: store.current.values,
+      locale,
+      field: name,
+      immediate,
+      onPending: () =>
+        update({
+          validating: { ...store.current.validating, [name]: true },
+        }),
+      onResult: (result) => setFieldResult(name, result),
+    });
+  };
+
+  // Fields comparing themselves with another one (matches, dependsOn)
+  const getDependents = (name) =>
+    Object.keys(rules.current).filter((field) => {
+      const fieldRules = rules.current[field];
+      return (
+        fieldRules?.matches === name || fieldRules?.dependsOn?.includes(name)
+      );
+    });
+
+  const setValue = (name, value) => {
+    update({ values: { ...store.current.values, [name]: value } });
+
+    if (validateOn === "change" || name in store.current.errors) {
+      validateField(name);
+    }
+    for (const field of getDependents(name)) {
+      const { touched, errors } = store.current;
+      if (touched[field] || field in errors) validateField(field);
+    }
+  };
+
+  const setTouched = (name) => {
+    update({ touched: { ...store.current.touched, [name]: true } });
+    if (validateOn !== "submit") validateField(name);
+  };
+
+  /**
+   * Validates every registered field, waiting for async rules
+   * @return {Promise<boolean>} True when no field has an error
+   */
+  const validate = async () => {
+    await Promise.all(
+      Object.keys(rules.current).map((name) => validateField(name, true))
+    );
+    const { errors, validating } = store.current;
+    return (
+      Object.keys(errors).length === 0 && Object.keys(validating).length === 0
+    );
+  };
+
+  /**
+   * Registers a field and returns the props controlling it
+   * @param {string} name - Field name
+   * @param {Object} [validation] - Rules (required, minLength, maxLength,
+   *   pattern, matches, customValidator, debounce and their messages);
+   *   dependsOn lists the fields whose changes re-validate this one
+   * @return {Object} Props for input, textarea or select
+   */
+  const register = (name, validation) => {
+    // Fields the schema does not describe (e.g. a CSRF token) get no rules
+    rules.current[name] =
+      validation || (schema?.has(name) ? schema.field(name) : undefined);
+    const value = state.values[name];
+
+    const props = {
+      id: getFieldId(name),
+      name,
+      onChange: (event) => setValue(name, readValue(event.target)),
+      onBlur: () => setTouched(name),
+    };
+    if (typeof value === "boolean") {
+      props.checked = value;
+    } else {
+      props.value = value ?? "";
+    }
+    return props;
+  };
+
+  /**
+   * Registers a field for the enhanced input, textarea and select, which
+   * also get its error to show and announce (aria-invalid and
+   * aria-describedby)
+   * @param {string} name - Field name
+   * @param {Object} [validation] - Rules, as for register
+   * @return {Object} Props for the enhanced input, textarea or select
+   */
+  const field = (name, validation) => ({
+    ...register(name, validation),
+    error: state.errors[name],
+  });
+
+  /**
+   * Wraps a submit callback: validates every field first and only
+   * calls it when the form is valid
+   * @param {Function} onValid - Called with (values, event)
+   * @param {Function} [onInvalid] - Called with (errors, event)
+   * @return {Function} Submit event handler
+   */
+  const handleSubmit = (onValid, onInvalid) => async (event) => {
+    event?.preventDefault?.();
+
+    const touched = {};
+    for (const name in rules.current) touched[name] = true;
+    update({ touched, submitCount: store.current.submitCount + 1 });
+
+    if (!(await validate())) {
+      // Focused now if the errors already rendered, else once they do
+      if (summaryRef.current) {
+        summaryRef.current.focus();
+      } else {
+        focusSummary.current = true;
+      }
+      if (onInvalid) onInvalid(store.current.errors, event);
+      return;
+    }
+
+    update({ isSubmitting: true });
+    try {
+      await onValid(store.current.values, event);
+    } finally {
+      update({ isSubmitting: false });
+    }
+  };
+
+  /**
+   * Resets values, touched fields and errors
+   * @param {Object} [values] - New initial values (defaults to the
+   *   current ones)
+   */
+  const reset = (values) => {
+    if (values) defaults.current = values;
+    cancelValidators();
+    update(createFormState(defaults.current));
+  };
+
+  const dirty = {};
+  for (const name in state.values) {
+    if (!isSameValue(state.values[name], defaults.current[name])) {
+      dirty[name] = true;
+    }
+  }
+
+  return {
+    ...state,
+    dirty,
+    isDirty: Object.keys(dirty).length > 0,
+    isValidating: Object.keys(state.validating).length > 0,
+    isValid:
+      Object.keys(state.errors).length === 0 &&
+      Object.keys(state.validating).length === 0,
+    // Shaped for the fieldset validation summary
+    errorList: Object.entries(state.errors).map(([name, message]) => ({
+      id: getFieldId(name),
+      name,
+      message,
+    })),
+    summaryRef,
+    register,
+    field,
+    setValue,
+    validate,
+    handleSubmit,
+    reset,
+  };
+}
@@ -8,167 +8,344 @@
  * - Extensible Architecture
  */
 
-import { createComponent } from "../../index";
+import { Fragment, createComponent, createElement } from "../../index";
+import { useEcho, useId, useMajor, useMinor } from "../../hooks";
+import { getValidationMessage } from "./messages";
 
-// Base validation function
-const validateInput = (element, validationRules) => {
-  if (!validationRules) return { isValid: true, message: "" };
+// Checks whether a value counts as missing for the required rule
+const isEmpty = (value) => {
+  if (value == null || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return !String(value).trim();
+};
 
-  const value = element.value;
-  let isValid = true;
-  let message = "";
-
-  if (validationRules.required && !value.trim()) {
-    isValid = false;
-    message = validationRules.requiredMessage || "This field is required";
-  } else if (
-    validationRules.minLength &&
-    value.length < validationRules.minLength
-  ) {
-    isValid = false;
-    message =
-      validationRules.minLengthMessage ||
-      `Minimum ${validationRules.minLength} characters required`;
-  } else if (
-    validationRules.maxLength &&
-    value.length > validationRules.maxLength
-  ) {
-    isValid = false;
-    message =
-      validationRules.maxLengthMessage ||
-      `Maximum ${validationRules.maxLength} characters allowed`;
-  } else if (
-    validationRules.pattern &&
-    !new RegExp(validationRules.pattern).test(value)
-  ) {
-    isValid = false;
-    message = validationRules.patternMessage || "Invalid format";
-  } else if (validationRules.customValidator) {
-    const customValidation = validationRules.customValidator(value);
-    if (!customValidation.isValid) {
-      isValid = false;
-      message = customValidation.message || "Invalid value";
+// Message of a failed rule, in the field's locale
+const ruleMessage = (rule, validationRules, params, context) =>
+  getValidationMessage(
+    rule,
+    { field: validationRules.label || context.field, ...params },
+    {
+      locale: validationRules.locale || context.locale,
+      message: validationRules[`${rule}Message`],
     }
-  }
+  );
 
-  return { isValid, message };
+// Turns what a custom validator returned (or threw) into a result
+const toCustomResult = (outcome, validationRules, context) => {
+  if (outcome instanceof Error) {
+    return {
+      isValid: false,
+      message:
+        outcome.message || ruleMessage("custom", validationRules, {}, context),
+    };
+  }
+  const isValid = typeof outcome === "boolean" ? outcome : outcome.isValid;
+  return {
+    isValid,
+    message: isValid
+      ? ""
+      : outcome.message || ruleMessage("custom", validationRules, {}, context),
+  };
 };
 
-// Enhanced Input Component
-export function input(props) {
-  const {
-    validation,
-    onValidationChange,
-    showValidation = true,
-    className = "",
-    errorClassName = "error",
-    ...restProps
-  } = props;
+/**
+ * Runs the built-in rules, which are all synchronous
+ * @private
+ */
+function checkRules(value, validationRules, context) {
+  // Arrays (multiple selects) are measured by their number of items
+  const length = Array.isArray(value)
+    ? value.length
+    : String(value ?? "").length;
+  const { minLength, maxLength, pattern, matches } = validationRules;
+  let rule = null;
+  let params = {};
 
-  const handleBlur = (e) => {
-    if (validation) {
-      const validationResult = validateInput(e.target, validation);
-      if (onValidationChange) {
-        onValidationChange(validationResult);
-      }
+  if (validationRules.required && isEmpty(value)) {
+    rule = "required";
+  } else if (minLength && length < minLength) {
+    rule = "minLength";
+    params = { min: minLength };
+  } else if (maxLength && length > maxLength) {
+    rule = "maxLength";
+    params = { max: maxLength };
+  } else if (pattern && !new RegExp(pattern).test(value ?? "")) {
+    rule = "pattern";
+  } else if (matches && value !== context.values[matches]) {
+    rule = "matches";
+    params = { other: matches };
+  }
 
-      if (!validationResult.isValid && showValidation) {
-        e.target.classList.add(errorClassName);
-      } else {
-        e.target.classList.remove(errorClassName);
+  return rule
+    ? {
+        isValid: false,
+        message: ruleMessage(rule, validationRules, params, context),
       }
-    }
+    : { isValid: true, message: "" };
+}
 
-    if (props.onBlur) {
-      props.onBlur(e);
-    }
-  };
+/**
+ * Runs a rule set against a value
+ * @param {any} value - Field value (string, number, boolean or array)
+ * @param {Object} validationRules - { required, minLength, maxLength,
+ *   pattern, matches, customValidator } with their *Message overrides,
+ *   plus label and locale for the default messages
+ * @param {Object} [values={}] - Values of the other fields, for
+ *   matches and custom validators comparing fields
+ * @param {Object} [options] - Message options
+ * @param {string} [options.locale] - Locale of the messages
+ * @param {string} [options.field] - Field name, the {field} placeholder
+ * @returns {Object} { isValid, message }, with pending set when the
+ *   custom validator returned a promise (see createFieldValidator)
+ */
+export function validateValue(
+  value,
+  validationRules,
+  values = {},
+  options = {}
+) {
+  if (!validationRules) return { isValid: true, message: "" };
 
-  return createComponent().create("input", {
-    ...restProps,
-    className: `${className} ${validation ? "validatable" : ""}`.trim(),
-    onBlur: handleBlur,
-  });
+  const context = { ...options, values };
+  const result = checkRules(value, validationRules, context);
+  if (!result.isValid || !validationRules.customValidator) return result;
+
+  const outcome = validationRules.customValidator(value, context);
+  if (typeof outcome?.then === "function") {
+    return { isValid: false, message: "", pending: true };
+  }
+  return toCustomResult(outcome, validationRules, context);
 }
 
-// Enhanced Textarea Component
-export function textarea(props, ...children) {
-  const {
-    validation,
-    onValidationChange,
-    showValidation = true,
-    className = "",
-    errorClassName = "error",
-    ...restProps
-  } = props;
+/**
+ * Creates a validator for one field. Custom validators may be async
+ * (e.g. "username available"): they are debounced by the debounce
+ * rule (ms), get an AbortSignal, and a run still in flight is
+ * cancelled by the next one so stale answers are never reported
+ * @returns {Object} { run, cancel }
+ * @example
+ * const validator = createFieldValidator();
+ * validator.run(value, {
+ *   debounce: 300,
+ *   customValidator: (name, { signal }) =>
+ *     fetch(`/api/users/${name}`, { signal }).then((res) => res.status === 404),
+ * }, { onPending: showSpinner, onResult: showResult });
+ */
+export function createFieldValidator() {
+  let current = null;
 
-  const handleBlur = (e) => {
-    if (validation) {
-      const validationResult = validateInput(e.target, validation);
-      if (onValidationChange) {
-        onValidationChange(validationResult);
-      }
+  const cancel = () => {
+    if (!current) return;
+    clearTimeout(current.timer);
+    current.controller.abort();
+    current.resolve(null);
+    current = null;
+  };
 
-      if (!validationResult.isValid && showValidation) {
-        e.target.classList.add(errorClassName);
-      } else {
-        e.target.classList.remove(errorClassName);
-      }
-    }
+  /**
+   * Validates a value, cancelling the previous run
+   * @param {any} value - Field value
+   * @param {Object} validationRules - Rules, see validateValue
+   * @param {Object} [options] - Run options
+   * @param {Object} [options.values={}] - Values of the other fields
+   * @param {string} [options.locale] - Locale of the messages
+   * @param {string} [options.field] - Field name for the messages
+   * @param {boolean} [options.immediate=false] - Skip the debounce
+   * @param {Function} [options.onPending] - Called when the result has
+   *   to be waited for
+   * @param {Function} [options.onResult] - Called with { isValid, message }
+   * @returns {Promise} The result, or null if the run was cancelled
+   */
+  const run = (value, validationRules, options = {}) => {
+    cancel();
+    const { values = {}, immediate = false, onPending, onResult } = options;
+    const context = { values, locale: options.locale, field: options.field };
 
-    if (props.onBlur) {
-      props.onBlur(e);
+    const result = validationRules
+      ? checkRules(value, validationRules, context)
+      : { isValid: true, message: "" };
+    if (!result.isValid || !validationRules?.customValidator) {
+      if (onResult) onResult(result);
+      return Promise.resolve(result);
     }
+
+    return new Promise((resolve) => {
+      const task = { timer: null, controller: new AbortController(), resolve };
+      current = task;
+
+      const finish = (final) => {
+        if (current !== task) return;
+        current = null;
+        if (onResult) onResult(final);
+        resolve(final);
+      };
+
+      const check = () => {
+        let outcome;
+        try {
+          outcome = validationRules.customValidator(value, {
+            ...context,
+            signal: task.controller.signal,
+          });
+        } catch (error) {
+          finish(toCustomResult(error, validationRules, context));
+          return;
+        }
+
+        if (typeof outcome?.then !== "function") {
+          finish(toCustomResult(outcome, validationRules, context));
+          return;
+        }
+        if (onPending && !task.timer) onPending();
+        outcome.then(
+          (value) => finish(toCustomResult(value, validationRules, context)),
+          (error) => finish(toCustomResult(error, validationRules, context))
+        );
+      };
+
+      const delay = immediate ? 0 : validationRules.debounce || 0;
+      if (delay) {
+        if (onPending) onPending();
+        task.timer = setTimeout(check, delay);
+      } else {
+        check();
+      }
+    });
   };
 
-  return createComponent().create(
-    "textarea",
-    {
-      ...restProps,
-      className: `${className} ${validation ? "validatable" : ""}`.trim(),
-      onBlur: handleBlur,
-    },
-    ...children
-  );
+  return { run, cancel };
 }
 
-// Enhanced Select Component
-export function select(props, ...children) {
+// Collects the values of the named fields of a form element
+const getFormValues = (form) => {
+  const values = {};
+  if (!form) return values;
+  for (const field of form.elements) {
+    if (!field.name) continue;
+    values[field.name] =
+      field.type === "checkbox" ? field.checked : field.value;
+  }
+  return values;
+};
+
+/**
+ * Renders an enhanced input, textarea or select, followed by its error
+ * message when it is validated or given an error. The field points at
+ * the message through aria-describedby and is marked aria-invalid while
+ * it shows an error
+ * @private
+ */
+function ValidatedField(props) {
   const {
+    tag,
     validation,
     onValidationChange,
     showValidation = true,
+    locale,
+    error,
     className = "",
     errorClassName = "error",
+    errorMessageClassName = "error-message",
+    children,
     ...restProps
   } = props;
 
-  const handleChange = (e) => {
+  // Fields without validation or error render just the plain element
+  const hasMessage = Boolean(validation || error);
+  const generatedId = useId();
+  const id = restProps.id || (hasMessage ? generatedId : undefined);
+  const errorId = `${id}-error`;
+  const [result, setResult] = useMinor(null);
+  const validator = useEcho(null);
+  if (!validator.current) validator.current = createFieldValidator();
+  useMajor(() => validator.current.cancel, []);
+
+  // An error passed in (e.g. from useForm) wins over the field's own
+  const message =
+    error ||
+    (showValidation && result && !result.isValid && !result.pending
+      ? result.message
+      : "");
+
+  // Selects are validated as soon as they change, the others on blur
+  const eventName = tag === "select" ? "onChange" : "onBlur";
+  const handleEvent = (e) => {
     if (validation) {
-      const validationResult = validateInput(e.target, validation);
-      if (onValidationChange) {
-        onValidationChange(validationResult);
-      }
+      const report = (validationResult) => {
+        setResult(validationResult);
+        if (onValidationChange) {
+          onValidationChange(validationResult);
+        }
+      };
 
-      if (!validationResult.isValid && showValidation) {
-        e.target.classList.add(errorClassName);
-      } else {
-        e.target.classList.remove(errorClassName);
-      }
+      validator.current.run(e.target.value, validation, {
+        values: getFormValues(e.target.form),
+        locale,
+        field: e.target.name || undefined,
+        onPending: () => report({ isValid: false, message: "", pending: true }),
+        onResult: report,
+      });
     }
 
-    if (props.onChange) {
-      props.onChange(e);
+    if (props[eventName]) {
+      props[eventName](e);
     }
   };
 
-  return createComponent().create(
-    "select",
-    {
-      ...restProps,
-      className: `${className} ${validation ? "validatable" : ""}`.trim(),
-      onChange: handleChange,
-    },
+  const describedBy = [restProps["aria-describedby"], message && errorId]
+    .filter(Boolean)
+    .join(" ");
+
+  return createElement(
+    Fragment,
+    null,
+    createElement(
+      tag,
+      {
+        ...restProps,
+        id,
+        className:
+          [
+            className,
+            validation ? "validatable" : "",
+            message ? errorClassName : "",
+          ]
+            .filter(Boolean)
+            .join(" ") || undefined,
+        "aria-invalid": message ? "true" : undefined,
+        "aria-describedby": describedBy || undefined,
+        [eventName]: handleEvent,
+      },
+      ...(children || [])
+    ),
+    hasMessage &&
+      createElement(
+        "span",
+        { id: errorId, className: errorMessageClassName },
+        message
+      )
+  );
+}
+
+// Enhanced Input Component
+export function input(props) {
+  return createElement(ValidatedField, { ...props, tag: "input" });
+}
+
+// Enhanced Textarea Component
+export function textarea(props, ...children) {
+  return createElement(
+    ValidatedField,
+    { ...props, tag: "textarea" },
+    ...children
+  );
+}
+
+// Enhanced Select Component
+export function select(props, ...children) {
+  return createElement(
+    ValidatedField,
+    { ...props, tag: "select" },
     ...children
   );
 }
@@ -204,23 +381,70 @@ export function label(props, ...children) {
   );
 }
 
+// Moves focus to a field listed in the validation summary, found by
+// id or else by name (when the field was given an id of its own)
+const focusField = (event, error) => {
+  const field =
+    document.getElementById(error.id) ||
+    (error.name && document.getElementsByName(error.name)[0]);
+  if (!field) return;
+  event.preventDefault();
+  field.focus();
+};
+
 // Enhanced Fieldset Component with validation summary
 export function fieldset(props, ...children) {
   const {
     validationErrors = [],
+    validating = false,
+    locale,
+    validatingMessage = getValidationMessage("validating", {}, { locale }),
     showValidationSummary = true,
     validationSummaryClassName = "validation-summary",
+    validatingClassName = "validation-pending",
+    summaryRef,
     ...restProps
   } = props;
 
+  // Async rules still running are listed after the errors
+  const pending = validating
+    ? createComponent().create(
+        "li",
+        { key: "pending", className: validatingClassName },
+        validatingMessage
+      )
+    : null;
+
+  // Errors with the id of their field link to it
+  const errorItems = validationErrors.map((error, index) =>
+    createComponent().create(
+      "li",
+      { key: index },
+      error.id
+        ? createComponent().create(
+            "a",
+            {
+              href: `#${error.id}`,
+              onClick: (event) => focusField(event, error),
+            },
+            error.message
+          )
+        : error.message
+    )
+  );
+
+  // An alert is announced when it appears; tabIndex lets it take focus
   const validationSummary =
-    showValidationSummary && validationErrors.length > 0
+    showValidationSummary && (validationErrors.length > 0 || pending)
       ? createComponent().create(
           "div",
-          { className: validationSummaryClassName },
-          validationErrors.map((error, index) =>
-            createComponent().create("div", { key: index }, error.message)
-          )
+          {
+            className: validationSummaryClassName,
+            role: "alert",
+            tabIndex: -1,
+            ref: summaryRef,
+          },
+          createComponent().create("ul", null, errorItems, pending)
         )
       : null;
 
@@ -232,14 +456,72 @@ export function fieldset(props, ...children) {
   );
 }
 
-// Form validation helper
-export function validateForm(formElements) {
+// Sets a nested value, creating arrays for numeric keys
+const setPath = (target, [key, ...rest], value) => {
+  if (!rest.length) {
+    target[key] = value;
+    return;
+  }
+  if (target[key] == null) target[key] = /^\d+$/.test(rest[0]) ? [] : {};
+  setPath(target[key], rest, value);
+};
+
+// Reads the props of a builder, VirtualDOM node or DOM element
+const getFieldProps = (field) => {
+  if (Array.isArray(field.elements)) return field.elements.at(-1)?.props || {};
+  return field.props || field;
+};
+
+/**
+ * Validates a set of fields without a DOM, e.g. before submitting
+ * @param {Array} formElements - Enhanced components, builders, VirtualDOM
+ *   nodes, DOM elements or { value, validation } objects
+ * @param {Object} [schema] - Schema from createSchema, checking the
+ *   values of the named fields instead of their validation props
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.locale] - Locale of the messages
+ * @returns {Object} { isValid, errors: [{ element, isValid, message }] },
+ *   with the path and name of each error when a schema is used
+ */
+export function validateForm(formElements, schema, options = {}) {
+  const { locale } = options;
   const results = [];
   let isValid = true;
 
+  // Named fields can be compared with each other (matches rule)
+  const values = {};
   formElements.forEach((element) => {
-    if (element.props && element.props.validation) {
-      const validationResult = validateInput(element, element.props.validation);
+    const props = getFieldProps(element);
+    if (props.name) values[props.name] = props.value;
+  });
+
+  if (schema) {
+    // Dotted names (address.city) become nested objects
+    const data = {};
+    for (const name in values) setPath(data, name.split("."), values[name]);
+
+    const { errors } = schema.validate(data, { coerce: true, locale });
+    return {
+      isValid: errors.length === 0,
+      errors: errors.map((error) => ({
+        element: formElements.find(
+          (element) => getFieldProps(element).name === error.name
+        ),
+        isValid: false,
+        ...error,
+      })),
+    };
+  }
+
+  formElements.forEach((element) => {
+    const props = getFieldProps(element);
+    const validation = element.validation || props.validation;
+    if (validation) {
+      // Async custom validators are reported as pending errors
+      const validationResult = validateValue(props.value, validation, values, {
+        locale,
+        field: props.name,
+      });
       if (!validationResult.isValid) {
         isValid = false;
         results.push({
@@ -255,3 +537,7 @@ export function validateForm(formElements) {
     errors: results,
   };
 }
+
+export * from "./form";
+export * from "./messages";
+export * from "./schema";
@@ -0,0 +1,112 @@
+/**
+ * Jexify - Validation Messages
+ *
+ * Features:
+ * - Message Catalogs per Locale
+ * - Interpolation ({min}, {max}, {field}...)
+ * - Global Locale with Per-Form Overrides
+ * - Fallback to the Base Language, then English
+ */
+
+// Messages by locale; English doubles as the fallback for missing keys
+const catalogs = {
+  en: {
+    field: "This field",
+    required: "This field is required",
+    minLength: "Minimum {min} characters required",
+    maxLength: "Maximum {max} characters allowed",
+    pattern: "Invalid format",
+    matches: "Values do not match",
+    custom: "Invalid value",
+    validating: "Validating...",
+    type: "Expected a value of type {type}",
+    min: "Must be at least {min}",
+    max: "Must be at most {max}",
+    integer: "Must be a whole number",
+    email: "Invalid email address",
+    url: "Invalid URL",
+    date: "Invalid date",
+    enum: "Must be one of: {values}",
+    minItems: "At least {min} items required",
+    maxItems: "At most {max} items allowed",
+  },
+};
+
+let currentLocale = "en";
+
+/**
+ * Adds or extends the messages of a locale
+ * @param {string} locale - Locale, e.g. "fr" or "pt-BR"
+ * @param {Object} messages - Templates by rule name (required,
+ *   minLength, pattern...), with {placeholders}
+ * @example
+ * addValidationMessages("fr", {
+ *   required: "{field} est obligatoire",
+ *   minLength: "{min} caractères minimum",
+ * });
+ */
+export function addValidationMessages(locale, messages) {
+  catalogs[locale] = { ...catalogs[locale], ...messages };
+}
+
+/**
+ * Sets the locale used by forms that do not choose their own
+ * @param {string} locale - Locale, e.g. "de"
+ */
+export function setValidationLocale(locale) {
+  currentLocale = locale;
+}
+
+/**
+ * Returns the global validation locale
+ * @returns {string} Locale
+ */
+export function getValidationLocale() {
+  return currentLocale;
+}
+
+/**
+ * Fills {name} placeholders; arrays are listed with commas
+ * @param {string} template - Message template
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {string} Message
+ */
+export function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] == null ? match : [].concat(params[key]).join(", ")
+  );
+}
+
+/**
+ * Returns the message of a rule: the override if given, else the
+ * catalog of the locale, its base language (pt for pt-BR) or English
+ * @param {string} rule - Rule name, e.g. "minLength"
+ * @param {Object} [params={}] - Placeholder values ({min}, {field}...)
+ * @param {Object} [options] - Message options
+ * @param {string} [options.locale] - Locale (defaults to the global one)
+ * @param {string} [options.message] - Override, e.g. minLengthMessage
+ * @returns {string} Interpolated message
+ */
+export function getValidationMessage(rule, params = {}, options = {}) {
+  const locale = options.locale || currentLocale;
+  const template =
+    options.message || lookup(locale, rule) || lookup(locale, "custom");
+
+  // Fields without a label are named by the catalog ("This field")
+  return interpolate(template, {
+    ...params,
+    field: params.field ?? lookup(locale, "field"),
+  });
+}
+
+/**
+ * Finds a message in a locale, its base language or English
+ * @private
+ */
+function lookup(locale, key) {
+  return (
+    catalogs[locale]?.[key] ??
+    catalogs[locale.split("-")[0]]?.[key] ??
+    catalogs.en[key]
+  );
+}
@@ -0,0 +1,301 @@
+/**
+ * Jexify - Schema Validation
+ *
+ * Features:
+ * - Declarative Schema Objects
+ * - String, Number, Boolean, Email, URL, Date, Enum, Array & Object Types
+ * - Optional Fields & Custom Refinements
+ * - Structured Error Paths
+ * - Rules for the Enhanced Components, validateForm & useForm
+ */
+
+import { getValidationMessage } from "./messages";
+
+// Placeholders of rules whose limit has another name on the node
+const RULE_PARAMS = {
+  minLength: (node) => ({ min: node.minLength }),
+  maxLength: (node) => ({ max: node.maxLength }),
+  minItems: (node) => ({ min: node.minItems }),
+  maxItems: (node) => ({ max: node.maxItems }),
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Expands the shorthands: "email" for { type: "email" } and a plain
+ * object of fields for { type: "object", fields }
+ * @private
+ */
+function normalizeNode(node) {
+  if (typeof node === "string") return { type: node };
+  if (typeof node?.type === "string") return node;
+  if (typeof node === "object" && node !== null) {
+    return { type: "object", fields: node };
+  }
+  throw new TypeError("Schema nodes must be objects or type names");
+}
+
+// Missing values are only accepted by optional nodes
+const isMissing = (value) =>
+  value == null || (typeof value === "string" && !value.trim());
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Converts the strings read from form inputs into the node's type
+ * @private
+ */
+function coerceValue(type, value) {
+  if (typeof value !== "string") return value;
+  if (type === "number" && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean") {
+    if (value === "true" || value === "on") return true;
+    if (value === "false") return false;
+  }
+  return value;
+}
+
+// Type checks: each returns the failed rule name, or null
+const TYPE_CHECKS = {
+  string(node, value) {
+    if (typeof value !== "string") return "type";
+    if (node.minLength != null && value.length < node.minLength) {
+      return "minLength";
+    }
+    if (node.maxLength != null && value.length > node.maxLength) {
+      return "maxLength";
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      return "pattern";
+    }
+    return null;
+  },
+
+  number(node, value) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "type";
+    if (node.integer && !Number.isInteger(value)) return "integer";
+    if (node.min != null && value < node.min) return "min";
+    if (node.max != null && value > node.max) return "max";
+    return null;
+  },
+
+  boolean(node, value) {
+    return typeof value === "boolean" ? null : "type";
+  },
+
+  email(node, value) {
+    if (typeof value !== "string") return "type";
+    return EMAIL_PATTERN.test(value)
+      ? TYPE_CHECKS.string(node, value)
+      : "email";
+  },
+
+  url(node, value) {
+    if (typeof value !== "string") return "type";
+    const protocols = node.protocols || ["http:", "https:"];
+    try {
+      if (!protocols.includes(new URL(value).protocol)) return "url";
+    } catch (error) {
+      return "url";
+    }
+    return TYPE_CHECKS.string(node, value);
+  },
+
+  date(node, value) {
+    const date = typeof value === "number" ? null : toDate(value);
+    if (!date) return "date";
+    if (node.min != null && date < toDate(node.min)) return "min";
+    if (node.max != null && date > toDate(node.max)) return "max";
+    return null;
+  },
+
+  enum(node, value) {
+    return node.values.includes(value) ? null : "enum";
+  },
+
+  array(node, value, path, context) {
+    if (!Array.isArray(value)) return "type";
+    if (node.minItems != null && value.length < node.minItems) {
+      return "minItems";
+    }
+    if (node.maxItems != null && value.length > node.maxItems) {
+      return "maxItems";
+    }
+    if (node.items) {
+      value.forEach((item, index) =>
+        checkNode(node.items, item, path.concat(index), context)
+      );
+    }
+    return null;
+  },
+
+  object(node, value, path, context) {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return "type";
+    }
+    for (const key in node.fields) {
+      checkNode(node.fields[key], value[key], path.concat(key), context);
+    }
+    return null;
+  },
+};
+
+/**
+ * Records an error for a node, preferring its own messages
+ * @private
+ */
+function addError(node, rule, path, context, message) {
+  const name = path.join(".");
+  const params = {
+    ...node,
+    ...RULE_PARAMS[rule]?.(node),
+    field: node.label || name || undefined,
+  };
+
+  context.errors.push({
+    path,
+    name,
+    rule,
+    message: getValidationMessage(rule === "refine" ? "custom" : rule, params, {
+      locale: context.locale,
+      message: message || node.messages?.[rule] || node.message,
+    }),
+  });
+}
+
+/**
+ * Validates a value against a node, collecting errors in the context
+ * @private
+ */
+function checkNode(schemaNode, rawValue, path, context) {
+  const node = normalizeNode(schemaNode);
+  const check = TYPE_CHECKS[node.type];
+  if (!check) throw new TypeError(`Unknown schema type "${node.type}"`);
+
+  if (isMissing(rawValue)) {
+    if (!node.optional) addError(node, "required", path, context);
+    return;
+  }
+
+  const value = context.coerce ? coerceValue(node.type, rawValue) : rawValue;
+  const errorCount = context.errors.length;
+  const failed = check(node, value, path, context);
+  if (failed) {
+    addError(node, failed, path, context);
+    return;
+  }
+
+  // Refinements run once the value and its children are valid
+  if (node.refine && context.errors.length === errorCount) {
+    const outcome = node.refine(value, { root: context.root, path });
+    if (outcome === true || outcome?.isValid) return;
+    addError(
+      node,
+      "refine",
+      path,
+      context,
+      typeof outcome === "string" ? outcome : outcome?.message
+    );
+  }
+}
+
+/**
+ * Finds the node of a dotted path (array items through numbers)
+ * @private
+ */
+function findNode(root, name) {
+  let node = root;
+  for (const key of String(name).split(".")) {
+    if (node.type === "object" && node.fields && key in node.fields) {
+      node = normalizeNode(node.fields[key]);
+    } else if (node.type === "array" && node.items && /^\d+$/.test(key)) {
+      node = normalizeNode(node.items);
+    } else {
+      return null;
+    }
+  }
+  return node;
+}
+
+/**
+ * Defines a schema once for forms, payloads and API responses
+ * @param {Object|string} shape - Fields by name, or a schema node:
+ *   { type, optional, refine, label, message, messages, ...type options }.
+ *   Types: string (minLength, maxLength, pattern), number (min, max,
+ *   integer), boolean, email, url (protocols), date (min, max),
+ *   enum (values), array (items, minItems, maxItems), object (fields)
+ * @returns {Object} { shape, validate, has, field }
+ * @throws {TypeError} If a node has an unknown type
+ * @example
+ * const signup = createSchema({
+ *   email: "email",
+ *   age: { type: "number", min: 18, optional: true },
+ *   address: { city: { type: "string", minLength: 2 } },
+ *   tags: { type: "array", items: { type: "enum", values: ["a", "b"] } },
+ * });
+ * signup.validate(payload).errors; // [{ path: ["address", "city"], ... }]
+ */
+export function createSchema(shape) {
+  const root = normalizeNode(shape);
+
+  return {
+    shape: root,
+
+    /**
+     * Validates a whole payload
+     * @param {any} data - Payload to validate
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.coerce=false] - Accept the strings read
+     *   from form inputs for numbers and booleans
+     * @param {string} [options.locale] - Locale of the messages
+     * @returns {Object} { isValid, errors: [{ path, name, rule, message }] }
+     */
+    validate(data, options = {}) {
+      const context = {
+        coerce: Boolean(options.coerce),
+        locale: options.locale,
+        root: data,
+        errors: [],
+      };
+      checkNode(root, data, [], context);
+      return { isValid: context.errors.length === 0, errors: context.errors };
+    },
+
+    /**
+     * Tells whether the schema describes a field
+     * @param {string} name - Field name, dotted for nested fields
+     * @returns {boolean} True if field(name) has rules for it
+     */
+    has(name) {
+      return Boolean(findNode(root, name));
+    },
+
+    /**
+     * Returns validation rules for one field, for the validation prop
+     * of the enhanced components and useForm's register
+     * @param {string} name - Field name, dotted for nested fields
+     * @returns {Object} Rules checking the field against the schema
+     * @throws {Error} If the schema has no such field
+     */
+    field(name) {
+      const node = findNode(root, name);
+      if (!node) throw new Error(`Schema has no field "${name}"`);
+      const path = String(name).split(".");
+
+      return {
+        customValidator(value, { values = {}, locale } = {}) {
+          const context = { coerce: true, locale, root: values, errors: [] };
+          checkNode(node, value, path, context);
+          const [error] = context.errors;
+          return error ? { isValid: false, message: error.message } : true;
+        },
+      };
+    },
+  };
+}